@@ -1,14 +1,53 @@
 #!/usr/bin/env node
 
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
 import { Builder } from '../dist/lib/builder.js';
 import { ConfigLoader } from '../dist/lib/config-loader.js';
+import { DataLoader } from '../dist/lib/data-loader.js';
+import { CompletenessAuditor } from '../dist/lib/completeness-auditor.js';
+import { PropertyInspector } from '../dist/lib/property-inspector.js';
+import { GRAPH_FORMATS, GraphExporter } from '../dist/lib/graph-exporter.js';
 import { resolve } from 'path';
 import fs from 'fs-extra';
 import { Logger } from '../dist/lib/logger.js';
 
 const program = new Command();
 
+function collect(value, previous) {
+  return [...previous, value];
+}
+
+function parseGraphFormat(value) {
+  if (!GRAPH_FORMATS.includes(value)) {
+    throw new InvalidArgumentError(`Format must be one of: ${GRAPH_FORMATS.join(', ')}.`);
+  }
+  return value;
+}
+
+function parseLocales(value) {
+  const locales = value.split(',').map(locale => locale.trim()).filter(Boolean);
+  if (locales.length === 0) {
+    throw new InvalidArgumentError('Give at least one locale, e.g. en-US or en-US,es.');
+  }
+  return locales;
+}
+
+// One locale sets the language of the pages; several build a variant of
+// every property per locale
+function applyLocales(options) {
+  const locales = [options.locale ?? []].flat();
+  options.locale = locales[0];
+  options.locales = locales.length > 1 ? locales : undefined;
+}
+
+function parseConcurrency(value) {
+  const concurrency = parseInt(value, 10);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new InvalidArgumentError('Concurrency must be a positive integer.');
+  }
+  return concurrency;
+}
+
 program
   .name('fact-sheet')
   .description('Generate self-contained property fact sheet websites from JSON data')
@@ -18,7 +57,7 @@ program
 program
   .command('generate')
   .description('Generate property fact sheet websites from JSON data')
-  .option('-i, --input <dir>', 'Input directory with property data')
+  .option('-i, --input <path>', 'Input directory with property data, or a .car archive')
   .option('-o, --output <dir>', 'Output directory for generated websites')
   .option('-d, --domain <url>', 'Domain for static assets')
   .option('--inline-css', 'Inline all CSS into HTML')
@@ -28,6 +67,26 @@ program
   .option('--ci', 'CI mode (non-interactive, structured output)')
   .option('--log-file <path>', 'Path to log file (default: fact-sheet-build.log)')
   .option('--no-log-file', 'Disable log file generation')
+  .option('--schema-dir <dir>', 'Directory of local data-group schemas (<cid>.json)')
+  .option('--schema-cache-dir <dir>', 'Where resolved schemas are cached (default: .factsheet-cache/schemas)')
+  .option('--schema-gateway <url>', 'IPFS gateway used for schemas not found locally')
+  .option('--offline', 'Never fetch schemas from the network')
+  .option('--verify-cids', 'Fail the build if any content-addressed input does not match its CID')
+  .option('--validate', 'Validate input against the lexicon and write validation-report.json')
+  .option('--merge-rules <file>', 'JSON file with data-group precedence rules')
+  .option('--room-rules <file>', 'JSON file with bedroom and bathroom counting rules')
+  .option('--enum-mapping <file>', 'JSON file of enum descriptions and icons layered over the bundled mapping')
+  .option('--time-zone <zone>', 'IANA time zone dates are shown in (default: UTC)')
+  .option('--locale <locales>', 'Language of the pages (default: en-US); several, comma-separated, build /<locale>/<id>/ for each', parseLocales)
+  .option('--messages <dir>', 'Directory of <locale>.json message catalogs layered over the bundled ones')
+  .option('--lexicon-dir <dir>', 'Directory of lexicon class schemas (<class>.json) overriding the resolved ones')
+  .option('--concurrency <n>', 'Number of properties to build at once on worker threads (default: 1)', parseConcurrency)
+  .option('--cache-dir <dir>', 'Where the incremental build cache is kept (default: .factsheet-cache/builds)')
+  .option('--no-cache', 'Rebuild every property without reading or writing the build cache')
+  .option('--force', 'Rebuild every property, even if it is unchanged since the last build')
+  .option('--property <id>', 'Build only this property; repeat for several', collect, [])
+  .option('--from-list <file>', 'Build only the property ids listed in a file, one per line')
+  .option('--match <glob>', 'Build only properties whose directory or .car name matches; repeatable', collect, [])
   .action(async (options) => {
     // Load config file
     const configLoader = new ConfigLoader();
@@ -60,6 +119,15 @@ program
       // Ensure output directory exists
       await fs.ensureDir(options.output);
 
+      if (options.cache === false) {
+        options.cacheDir = false;
+      }
+      options.properties = options.property;
+      applyLocales(options);
+      if (options.fromList) {
+        options.fromList = resolve(options.fromList);
+      }
+
       // Resolve paths to absolute
       options.input = resolve(options.input);
       options.output = resolve(options.output);
@@ -70,6 +138,19 @@ program
         domain: options.domain,
         inlineCss: options.inlineCss || false,
         inlineJs: options.inlineJs || false,
+        schemaDir: options.schemaDir,
+        offline: options.offline || false,
+        verifyCids: options.verifyCids || false,
+        validate: options.validate || false,
+        concurrency: options.concurrency || 1,
+        cacheDir: options.cacheDir,
+        force: options.force || false,
+        properties: options.property,
+        fromList: options.fromList,
+        match: options.match,
+        timeZone: options.timeZone,
+        locale: options.locale,
+        locales: options.locales,
         minify: true
       });
 
@@ -90,12 +171,20 @@ program
 program
   .command('dev')
   .description('Start development server with live reload')
-  .option('-i, --input <dir>', 'Input directory with property data')
+  .option('-i, --input <path>', 'Input directory with property data, or a .car archive')
   .option('-p, --port <number>', 'Port for development server')
   .option('--no-open', 'Do not open browser automatically')
   .option('--no-reload', 'Disable live reload')
   .option('-v, --verbose', 'Verbose output')
   .option('-q, --quiet', 'Suppress output except errors')
+  .option('--schema-dir <dir>', 'Directory of local data-group schemas (<cid>.json)')
+  .option('--schema-cache-dir <dir>', 'Where resolved schemas are cached (default: .factsheet-cache/schemas)')
+  .option('--schema-gateway <url>', 'IPFS gateway used for schemas not found locally')
+  .option('--offline', 'Never fetch schemas from the network')
+  .option('--merge-rules <file>', 'JSON file with data-group precedence rules')
+  .option('--room-rules <file>', 'JSON file with bedroom and bathroom counting rules')
+  .option('--enum-mapping <file>', 'JSON file of enum descriptions and icons layered over the bundled mapping')
+  .option('--time-zone <zone>', 'IANA time zone dates are shown in (default: UTC)')
   .action(async (options) => {
     try {
       // Load config file
@@ -117,6 +206,9 @@ program
       // Resolve paths to absolute
       options.input = resolve(options.input);
       options.output = resolve('.elephant-dev'); // Temporary output for dev
+      // The dev server shows the pages in the first locale
+      applyLocales(options);
+      options.locales = undefined;
       if (options.port) {
         options.port = parseInt(options.port, 10);
       }
@@ -148,6 +240,334 @@ program
     }
   });
 
+// Validate command
+program
+  .command('validate')
+  .description('Validate property data against the Elephant lexicon')
+  .option('-i, --input <path>', 'Input directory with property data, or a .car archive')
+  .option('--lexicon-dir <dir>', 'Directory of lexicon class schemas (<class>.json) overriding the resolved ones')
+  .option('--schema-dir <dir>', 'Directory of local data-group schemas (<cid>.json)')
+  .option('--schema-cache-dir <dir>', 'Where resolved schemas are cached (default: .factsheet-cache/schemas)')
+  .option('--schema-gateway <url>', 'IPFS gateway used for schemas not found locally')
+  .option('--offline', 'Never fetch schemas from the network')
+  .option('--json', 'Print the validation report as JSON')
+  .option('-o, --output <file>', 'Write the JSON validation report to a file')
+  .option('-v, --verbose', 'Verbose output')
+  .option('-q, --quiet', 'Suppress output except errors')
+  .action(async (options) => {
+    const configLoader = new ConfigLoader();
+    const config = await configLoader.loadConfig();
+    options = configLoader.mergeWithCLIOptions(config, options);
+
+    const logger = new Logger({
+      quiet: options.quiet || options.json,
+      verbose: options.verbose,
+      logFile: false
+    });
+
+    try {
+      if (!options.input) {
+        logger.error('Input directory is required. Use -i option or set in config file.');
+        process.exit(1);
+      }
+
+      if (!await fs.pathExists(options.input)) {
+        logger.error(`Input directory does not exist: ${options.input}`);
+        process.exit(1);
+      }
+
+      options.input = resolve(options.input);
+      const dataLoader = new DataLoader({ ...options, output: '', logFile: false });
+      const propertyIds = await dataLoader.listPropertyIds(options.input);
+      const reports = [];
+
+      for (const propertyId of propertyIds) {
+        const report = await dataLoader.validateProperty(propertyId);
+        reports.push(report);
+
+        if (report.valid) {
+          logger.success(`${propertyId}: ${report.nodesChecked} nodes valid`);
+          continue;
+        }
+        logger.warn(
+          `${propertyId}: ${report.issues.length} issue(s) in ${report.nodesChecked} nodes, ` +
+          `${report.unresolved.length} class(es) not checked`
+        );
+        for (const issue of report.issues) {
+          logger.info(`  [${issue.lexiconClass}] ${issue.message} (${issue.source})`);
+        }
+        for (const { lexiconClass, reason } of report.unresolved) {
+          logger.info(`  [${lexiconClass}] not checked: ${reason}`);
+        }
+      }
+
+      const result = { properties: reports };
+      if (options.output) {
+        await fs.outputJson(resolve(options.output), result, { spaces: 2 });
+        logger.info(`Report written to ${options.output}`);
+      }
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+      }
+
+      if (reports.some(report => !report.valid)) {
+        process.exit(1);
+      }
+
+    } catch (error) {
+      logger.error(`Validation failed: ${error.message}`, {
+        error: error.stack
+      });
+      process.exit(1);
+    }
+  });
+
+// Audit command
+program
+  .command('audit')
+  .description('Score how complete each property\'s data is and list what is missing')
+  .option('-i, --input <path>', 'Input directory with property data, or a .car archive')
+  .option('--json', 'Print the audit report as JSON')
+  .option('--csv', 'Print the audit report as CSV')
+  .option('-o, --output <file>', 'Write the report to a file (.csv for CSV, JSON otherwise)')
+  .option('--min-score <n>', 'Exit with an error if any property scores below n (0-100)', parseFloat)
+  .option('--property <id>', 'Audit only this property; repeat for several', collect, [])
+  .option('--from-list <file>', 'Audit only the property ids listed in a file, one per line')
+  .option('--match <glob>', 'Audit only properties whose directory or .car name matches; repeatable', collect, [])
+  .option('--schema-dir <dir>', 'Directory of local data-group schemas (<cid>.json)')
+  .option('--schema-cache-dir <dir>', 'Where resolved schemas are cached (default: .factsheet-cache/schemas)')
+  .option('--schema-gateway <url>', 'IPFS gateway used for schemas not found locally')
+  .option('--offline', 'Never fetch schemas from the network')
+  .option('--merge-rules <file>', 'JSON file with data-group precedence rules')
+  .option('-v, --verbose', 'Verbose output')
+  .option('-q, --quiet', 'Suppress output except errors')
+  .action(async (options) => {
+    const configLoader = new ConfigLoader();
+    const config = await configLoader.loadConfig();
+    options = configLoader.mergeWithCLIOptions(config, options);
+
+    const logger = new Logger({
+      quiet: options.quiet || options.json || options.csv,
+      verbose: options.verbose,
+      logFile: false
+    });
+
+    try {
+      if (!options.input) {
+        logger.error('Input directory is required. Use -i option or set in config file.');
+        process.exit(1);
+      }
+
+      if (!await fs.pathExists(options.input)) {
+        logger.error(`Input directory does not exist: ${options.input}`);
+        process.exit(1);
+      }
+
+      options.input = resolve(options.input);
+      const dataLoader = new DataLoader({ ...options, output: '', logFile: false });
+      const auditor = new CompletenessAuditor();
+      const propertyIds = await dataLoader.selectPropertyIds(options.input, {
+        properties: options.property,
+        fromList: options.fromList && resolve(options.fromList),
+        match: options.match
+      });
+      const reports = [];
+
+      for (const propertyId of propertyIds) {
+        try {
+          const report = auditor.audit(propertyId, await dataLoader.loadProperty(propertyId));
+          reports.push(report);
+          logger.info(`${propertyId}: ${report.score}% complete (${report.labels.join(', ') || 'no data groups'})`);
+          if (report.missingEntities.length > 0) {
+            logger.info(`  Missing: ${report.missingEntities.join(', ')}`);
+          }
+          for (const field of report.missingFields) {
+            logger.debug(`  Missing field: ${field}`);
+          }
+        } catch (error) {
+          logger.error(`Could not audit ${propertyId}: ${error.message}`);
+        }
+      }
+
+      // Thinnest sheets first, so the report reads as a to-do list
+      reports.sort((a, b) => a.score - b.score);
+      const summary = auditor.summarize(reports);
+      logger.section('Audit Summary');
+      logger.info(`Properties: ${summary.properties}`);
+      logger.info(`Average score: ${summary.averageScore}%`);
+      for (const [entity, count] of Object.entries(summary.missingEntities)) {
+        logger.info(`  ${entity} missing in ${count} properties`);
+      }
+
+      const result = { summary, properties: reports };
+      if (options.output) {
+        const outputPath = resolve(options.output);
+        if (outputPath.endsWith('.csv')) {
+          await fs.outputFile(outputPath, auditor.toCsv(reports));
+        } else {
+          await fs.outputJson(outputPath, result, { spaces: 2 });
+        }
+        logger.info(`Report written to ${options.output}`);
+      }
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else if (options.csv) {
+        process.stdout.write(auditor.toCsv(reports));
+      }
+
+      if (options.minScore !== undefined && reports.some(report => report.score < options.minScore)) {
+        process.exit(1);
+      }
+
+    } catch (error) {
+      logger.error(`Audit failed: ${error.message}`, {
+        error: error.stack
+      });
+      process.exit(1);
+    }
+  });
+
+// Inspect command
+program
+  .command('inspect <id>')
+  .description('Show how a property\'s input turns into template data, and where each value came from')
+  .option('-i, --input <path>', 'Input directory with property data, or a .car archive')
+  .option('--json', 'Print the graph, PropertyData, TemplateData and field provenance as JSON')
+  .option('--path <path>', 'Print only the value at a path, e.g. layouts.floors[0].rooms[0] or graph')
+  .option('-o, --output <file>', 'Write the JSON (or the value at --path) to a file')
+  .option('--schema-dir <dir>', 'Directory of local data-group schemas (<cid>.json)')
+  .option('--schema-cache-dir <dir>', 'Where resolved schemas are cached (default: .factsheet-cache/schemas)')
+  .option('--schema-gateway <url>', 'IPFS gateway used for schemas not found locally')
+  .option('--offline', 'Never fetch schemas from the network')
+  .option('--merge-rules <file>', 'JSON file with data-group precedence rules')
+  .option('-v, --verbose', 'List the origin of every merged field')
+  .action(async (propertyId, options) => {
+    const configLoader = new ConfigLoader();
+    const config = await configLoader.loadConfig();
+    options = configLoader.mergeWithCLIOptions(config, options);
+
+    const printsJson = (options.json || options.path) && !options.output;
+    const logger = new Logger({
+      quiet: printsJson,
+      logFile: false
+    });
+
+    try {
+      if (!options.input) {
+        logger.error('Input directory is required. Use -i option or set in config file.');
+        process.exit(1);
+      }
+
+      if (!await fs.pathExists(options.input)) {
+        logger.error(`Input directory does not exist: ${options.input}`);
+        process.exit(1);
+      }
+
+      options.input = resolve(options.input);
+      const dataLoader = new DataLoader({ ...options, verbose: false, output: '', logFile: false });
+      const inspector = new PropertyInspector(dataLoader);
+      const inspection = await inspector.inspect(propertyId);
+      const result = options.path ? inspector.select(inspection, options.path) : inspection;
+
+      if (options.output) {
+        await fs.outputJson(resolve(options.output), result, { spaces: 2 });
+        logger.info(`Written to ${options.output}`);
+        return;
+      }
+      if (printsJson) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+      }
+
+      logger.section(`Property ${propertyId}`);
+      logger.info(`Source: ${inspection.source}`);
+      logger.info(`Nodes: ${Object.keys(inspection.graph).length}`);
+      for (const group of inspection.dataGroups) {
+        logger.info(`Data group: ${group.label ?? '(no label)'} ${group.cid}`);
+      }
+
+      // Fields per entity, with the groups their values came from
+      const entities = new Map();
+      for (const [field, origin] of Object.entries(inspection.provenance)) {
+        const entity = field.slice(0, field.lastIndexOf('.'));
+        const entry = entities.get(entity) ?? { fields: 0, groups: new Set() };
+        entry.fields++;
+        entry.groups.add(origin.group);
+        entities.set(entity, entry);
+      }
+      logger.info('');
+      logger.info('Merged entities:');
+      for (const [entity, { fields, groups }] of entities) {
+        logger.info(`  ${entity}: ${fields} fields from ${[...groups].join(', ')}`);
+      }
+      if (options.verbose) {
+        logger.info('');
+        logger.info('Field origins:');
+        for (const [field, origin] of Object.entries(inspection.provenance)) {
+          logger.info(`  ${field} <- ${origin.group} ${origin.cid}`);
+        }
+      }
+      logger.info('');
+      logger.info('Use --json for everything, or --path to pick one value.');
+
+    } catch (error) {
+      logger.error(`Inspect failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Graph command
+program
+  .command('graph <id>')
+  .description('Export a property\'s IPLD graph, highlighting links to files that are missing')
+  .option('-i, --input <path>', 'Input directory with property data, or a .car archive')
+  .option('-f, --format <format>', `Output format (${GRAPH_FORMATS.join(', ')})`, parseGraphFormat, 'dot')
+  .option('-o, --output <file>', 'Write the graph to a file')
+  .option('--schema-dir <dir>', 'Directory of local data-group schemas (<cid>.json)')
+  .option('--schema-cache-dir <dir>', 'Where resolved schemas are cached (default: .factsheet-cache/schemas)')
+  .option('--schema-gateway <url>', 'IPFS gateway used for schemas not found locally')
+  .option('--offline', 'Never fetch schemas from the network')
+  .action(async (propertyId, options) => {
+    const configLoader = new ConfigLoader();
+    const config = await configLoader.loadConfig();
+    options = configLoader.mergeWithCLIOptions(config, options);
+
+    const logger = new Logger({ logFile: false });
+
+    try {
+      if (!options.input) {
+        logger.error('Input directory is required. Use -i option or set in config file.');
+        process.exit(1);
+      }
+
+      if (!await fs.pathExists(options.input)) {
+        logger.error(`Input directory does not exist: ${options.input}`);
+        process.exit(1);
+      }
+
+      options.input = resolve(options.input);
+      const dataLoader = new DataLoader({ ...options, output: '', logFile: false });
+      const graph = await dataLoader.exportGraph(propertyId);
+      const output = GraphExporter.format(graph, options.format);
+
+      if (options.output) {
+        await fs.outputFile(resolve(options.output), output);
+        logger.info(`Written ${graph.nodes.length} nodes and ${graph.edges.length} edges to ${options.output}`);
+      } else {
+        process.stdout.write(output);
+      }
+
+      // Reported on stderr, so piping the graph into a renderer still works
+      for (const edge of graph.dangling) {
+        logger.warn(`Dangling link: ${edge.from} ${edge.key} -> ${edge.to}`);
+      }
+
+    } catch (error) {
+      logger.error(`Graph export failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 // Init command
 program
   .command('init')
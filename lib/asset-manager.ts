@@ -5,6 +5,7 @@ import { dirname } from 'path';
 import { BuilderOptions, TemplateData } from '../types/property.js';
 import { Logger } from './logger.js';
 import { Minifier } from './minifier.js';
+import { CompletenessReport } from './completeness-auditor.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -150,7 +151,7 @@ export class AssetManager {
     }
   }
 
-  async createManifest(outputDir: string, propertyId: string, propertyData: TemplateData): Promise<void> {
+  async createManifest(outputDir: string, propertyId: string, propertyData: TemplateData, completeness?: CompletenessReport): Promise<void> {
     const propertyDir = path.join(outputDir, propertyId);
     const manifestPath = path.join(propertyDir, 'manifest.json');
 
@@ -170,6 +171,20 @@ export class AssetManager {
         salesCount: propertyData.all_sales?.length || 0,
         taxCount: propertyData.all_taxes?.length || 0,
         dataSourcesCount: propertyData.data_sources?.length || 0
+      },
+      // Bedroom and bathroom counts, and where the layouts and the structure
+      // record disagree
+      rooms: propertyData.room_counts && {
+        bedrooms: propertyData.room_counts.bedrooms,
+        bathrooms: propertyData.room_counts.bathrooms,
+        sources: propertyData.room_counts.sources,
+        discrepancies: propertyData.room_counts.discrepancies
+      },
+      completeness: completeness && {
+        score: completeness.score,
+        labels: completeness.labels,
+        missingEntities: completeness.missingEntities,
+        missingFields: completeness.missingFields
       }
     };
 
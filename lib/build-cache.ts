@@ -0,0 +1,207 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BuilderOptions, RoomDiscrepancy, UnmappedEnumValue } from '../types/property.js';
+import dataMapping from './data-mapping.json' with { type: 'json' };
+import sectionVisibility from './section-visibility.json' with { type: 'json' };
+import mergeRules from './merge-rules.json' with { type: 'json' };
+import roomRules from './room-rules.json' with { type: 'json' };
+import utilitySystems from './utility-systems.json' with { type: 'json' };
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_BUILD_CACHE_DIR = path.join('.factsheet-cache', 'builds');
+
+// What a build found in a property's data, reported again when it is skipped
+export interface PropertyFindings {
+  roomDiscrepancies: RoomDiscrepancy[];
+  unmappedValues: UnmappedEnumValue[];
+}
+
+interface CachedProperty extends PropertyFindings {
+  // Hash of the property's input files; null once the environment changed
+  input: string | null;
+  // Page directories written for the property, relative to the output
+  outputs: string[];
+}
+
+interface BuildCacheManifest {
+  output: string;
+  // Hash of everything besides the input that shapes the pages
+  environment: string;
+  // Every property built into the output
+  properties: Record<string, CachedProperty>;
+}
+
+/**
+ * Remembers which input each property in an output directory was built from.
+ *
+ * A property is unchanged when the hash of its input files matches the last
+ * build and the templates, mapping files and page-affecting options have not
+ * changed either. Any change to the latter, or to the builder's own code,
+ * invalidates every property, but the cache still knows which pages are in
+ * the output so those of deleted inputs can be removed.
+ */
+export class BuildCache {
+  private options: BuilderOptions;
+  private manifestPath: string;
+  private manifest: BuildCacheManifest;
+
+  constructor(options: BuilderOptions, cacheDir: string = DEFAULT_BUILD_CACHE_DIR) {
+    this.options = options;
+    const output = path.resolve(options.output);
+    const key = this.hash(output).slice(0, 16);
+    this.manifestPath = path.join(path.resolve(cacheDir), `${key}.json`);
+    this.manifest = { output, environment: '', properties: {} };
+  }
+
+  async load(): Promise<void> {
+    const environment = await this.environmentHash();
+    let manifest: BuildCacheManifest | null = null;
+    try {
+      manifest = await fs.readJson(this.manifestPath);
+    } catch {
+      // No previous build, or an unreadable cache: start over
+    }
+
+    const properties = manifest?.properties ?? {};
+    if (manifest?.environment !== environment) {
+      for (const cached of Object.values(properties)) cached.input = null;
+    }
+    this.manifest = { output: this.manifest.output, environment, properties };
+  }
+
+  async save(): Promise<void> {
+    await fs.outputJson(this.manifestPath, this.manifest, { spaces: 2 });
+  }
+
+  cachedPropertyIds(): string[] {
+    return Object.keys(this.manifest.properties);
+  }
+
+  isFresh(propertyId: string, inputHash: string): boolean {
+    const cached = this.manifest.properties[propertyId];
+    return !!cached?.input && cached.input === inputHash;
+  }
+
+  // Where the property's pages were written, as absolute paths
+  outputs(propertyId: string): string[] {
+    return (this.manifest.properties[propertyId]?.outputs ?? [])
+      .map(output => path.resolve(this.manifest.output, output));
+  }
+
+  findings(propertyId: string): PropertyFindings | null {
+    const cached = this.manifest.properties[propertyId];
+    if (!cached) return null;
+    return {
+      roomDiscrepancies: cached.roomDiscrepancies ?? [],
+      unmappedValues: cached.unmappedValues ?? []
+    };
+  }
+
+  record(propertyId: string, inputHash: string, outputs: string[], findings: PropertyFindings): void {
+    this.manifest.properties[propertyId] = {
+      input: inputHash,
+      outputs: outputs.map(output => path.relative(this.manifest.output, path.resolve(output))),
+      ...findings
+    };
+  }
+
+  forget(propertyId: string): void {
+    delete this.manifest.properties[propertyId];
+  }
+
+  // A property directory (including its images) or a .car archive
+  async hashInput(source: string): Promise<string> {
+    return this.hashPath(source);
+  }
+
+  private async environmentHash(): Promise<string> {
+    const {
+      domain, inlineCss, inlineJs, minify, dev, timeZone, dateFormats,
+      locale, locales, currency, units, offline, schemaGateway
+    } = this.options;
+    const rules = typeof this.options.mergeRules === 'string'
+      ? await fs.readJson(this.options.mergeRules)
+      : this.options.mergeRules;
+    const rooms = typeof this.options.roomRules === 'string'
+      ? await fs.readJson(this.options.roomRules)
+      : this.options.roomRules;
+    const mapping = typeof this.options.enumMapping === 'string'
+      ? await fs.readJson(this.options.enumMapping)
+      : this.options.enumMapping;
+
+    return this.hash(JSON.stringify({
+      // The builder itself
+      code: await this.hashPath(__dirname),
+      templates: await this.hashPath(path.join(__dirname, '..', '..', 'templates')),
+      dataMapping,
+      sectionVisibility,
+      mergeRules,
+      roomRules,
+      utilitySystems,
+      options: {
+        domain: domain ?? null,
+        inlineCss: inlineCss ?? false,
+        inlineJs: inlineJs ?? false,
+        minify: minify ?? false,
+        dev: dev ?? false,
+        mergeRules: rules ?? null,
+        roomRules: rooms ?? null,
+        enumMapping: mapping ?? null,
+        timeZone: timeZone ?? null,
+        dateFormats: dateFormats ?? null,
+        locale: locale ?? null,
+        locales: locales ?? null,
+        messages: this.options.messages ? await this.hashPath(this.options.messages) : null,
+        currency: currency ?? null,
+        units: units ?? null,
+        // Data labels, and with them section visibility, come from the
+        // schemas; offline builds fall back to the data groups' own labels
+        schemaDir: this.options.schemaDir && await fs.pathExists(this.options.schemaDir)
+          ? await this.hashPath(this.options.schemaDir)
+          : null,
+        offline: offline ?? false,
+        schemaGateway: offline ? null : schemaGateway ?? null
+      }
+    }));
+  }
+
+  private async hashPath(target: string): Promise<string> {
+    const hash = crypto.createHash('sha256');
+    const stats = await fs.stat(target);
+
+    if (stats.isFile()) {
+      hash.update(await fs.readFile(target));
+      return hash.digest('hex');
+    }
+
+    for (const file of await this.listFiles(target)) {
+      hash.update(path.relative(target, file));
+      hash.update('\0');
+      hash.update(await fs.readFile(file));
+      hash.update('\0');
+    }
+    return hash.digest('hex');
+  }
+
+  private async listFiles(dir: string): Promise<string[]> {
+    const files: string[] = [];
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(entryPath));
+      } else if (entry.isFile()) {
+        files.push(entryPath);
+      }
+    }
+    return files;
+  }
+
+  private hash(value: string): string {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+}
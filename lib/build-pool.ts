@@ -0,0 +1,104 @@
+import { Worker } from 'worker_threads';
+import { BuilderOptions, RoomDiscrepancy, UnmappedEnumValue } from '../types/property.js';
+
+export interface PropertyBuildResult {
+  propertyId: string;
+  // Where the layouts and the structure record disagree on room counts
+  roomDiscrepancies?: RoomDiscrepancy[];
+  // Enum values in the property's data that the mapping does not cover
+  unmappedValues?: UnmappedEnumValue[];
+  error?: {
+    message: string;
+    stack?: string;
+  };
+}
+
+/**
+ * Builds properties on a pool of worker threads.
+ *
+ * Each worker loads, renders and writes one property at a time and asks for
+ * the next one when it is done, so at most `size` properties are in memory.
+ * A worker that crashes fails only the property it was building; it is
+ * replaced and the rest of the queue is still built.
+ */
+export class BuildPool {
+  private options: BuilderOptions;
+  private size: number;
+
+  constructor(options: BuilderOptions, size: number) {
+    this.options = options;
+    this.size = size;
+  }
+
+  async run(propertyIds: string[], onResult: (result: PropertyBuildResult) => void): Promise<void> {
+    const queue = [...propertyIds];
+    const workerCount = Math.min(this.size, queue.length);
+    const workers = new Set<Worker>();
+
+    try {
+      await Promise.all(Array.from({ length: workerCount }, () => this.drain(workers, queue, onResult)));
+    } finally {
+      await Promise.all([...workers].map(worker => worker.terminate()));
+    }
+  }
+
+  // One slot of the pool: keeps a worker fed until the queue is empty,
+  // starting a new one whenever it crashes
+  private async drain(
+    workers: Set<Worker>,
+    queue: string[],
+    onResult: (result: PropertyBuildResult) => void
+  ): Promise<void> {
+    while (queue.length > 0) {
+      const worker = this.spawn();
+      workers.add(worker);
+      try {
+        await this.feed(worker, queue, onResult);
+      } finally {
+        workers.delete(worker);
+        await worker.terminate();
+      }
+    }
+  }
+
+  private spawn(): Worker {
+    return new Worker(new URL('./build-worker.js', import.meta.url), {
+      // Only the main thread writes the log file
+      workerData: { ...this.options, logFile: false }
+    });
+  }
+
+  // Resolves once the queue is empty, or once the worker has crashed and the
+  // property it was building has been reported as failed
+  private feed(worker: Worker, queue: string[], onResult: (result: PropertyBuildResult) => void): Promise<void> {
+    return new Promise(resolve => {
+      let propertyId: string | undefined;
+      let done = false;
+
+      const next = () => {
+        propertyId = queue.shift();
+        if (propertyId === undefined) {
+          done = true;
+          resolve();
+        } else {
+          worker.postMessage(propertyId);
+        }
+      };
+      const crash = (message: string, stack?: string) => {
+        if (done) return;
+        done = true;
+        onResult({ propertyId: propertyId!, error: { message, stack } });
+        resolve();
+      };
+
+      worker.on('message', (result: PropertyBuildResult) => {
+        onResult(result);
+        next();
+      });
+      worker.on('error', error => crash(`Build worker crashed: ${error.message}`, error.stack));
+      worker.on('exit', code => crash(`Build worker stopped with exit code ${code}`));
+
+      next();
+    });
+  }
+}
@@ -0,0 +1,20 @@
+import { parentPort, workerData } from 'worker_threads';
+import { Builder } from './builder.js';
+import { PropertyBuildResult } from './build-pool.js';
+
+// Entry point of the BuildPool workers: builds the property ids it is sent
+// and reports back for each one
+const builder = new Builder(workerData);
+
+parentPort!.on('message', async (propertyId: string) => {
+  let result: PropertyBuildResult = { propertyId };
+  try {
+    result = await builder.buildPropertyById(propertyId);
+  } catch (error) {
+    result.error = {
+      message: (error as Error).message,
+      stack: (error as Error).stack
+    };
+  }
+  parentPort!.postMessage(result);
+});
@@ -4,14 +4,31 @@ import { AssetManager } from './asset-manager.js';
 import fs from 'fs-extra';
 import path from 'path';
 import { Logger } from './logger.js';
-import { BuilderOptions, TemplateData } from '../types/property.js';
+import { BuildPool, PropertyBuildResult } from './build-pool.js';
+import { BuildCache, PropertyFindings } from './build-cache.js';
+import { CompletenessAuditor } from './completeness-auditor.js';
+import { RoomClassifier } from './room-classifier.js';
+import { BuilderOptions, UnmappedEnumValue } from '../types/property.js';
+
+interface UnmappedValueReport extends UnmappedEnumValue {
+  // Properties in the output that have the value
+  properties: string[];
+}
+
+// Pages of one language, and the directory their property folders go in
+interface PageVariant {
+  locale: string;
+  outputDir: string;
+  renderer: TemplateRenderer;
+}
 
 export class Builder {
   private options: BuilderOptions;
   private logger: Logger;
   private dataLoader: DataLoader;
-  private renderer: TemplateRenderer;
+  private variants: PageVariant[];
   private assetManager: AssetManager;
+  private auditor: CompletenessAuditor;
 
   constructor(options: BuilderOptions) {
     this.options = options;
@@ -22,8 +39,21 @@ export class Builder {
       logFile: options.logFile
     });
     this.dataLoader = new DataLoader(options);
-    this.renderer = new TemplateRenderer(options);
+    // With several locales every property gets a page per locale, each in
+    // <output>/<locale>/<id>/; otherwise one page in <output>/<id>/
+    this.variants = options.locales?.length
+      ? options.locales.map(locale => ({
+        locale,
+        outputDir: path.join(options.output, locale),
+        renderer: new TemplateRenderer({ ...options, locale })
+      }))
+      : [{
+        locale: options.locale ?? 'en-US',
+        outputDir: options.output,
+        renderer: new TemplateRenderer(options)
+      }];
     this.assetManager = new AssetManager(options);
+    this.auditor = new CompletenessAuditor();
   }
 
   async build(): Promise<void> {
@@ -34,42 +64,139 @@ export class Builder {
     this.logger.info(`Output: ${this.options.output}`);
 
     try {
-      // Step 1: Load all property data
-      this.logger.info('Loading property data...');
-      const properties: Record<string, TemplateData> = await this.dataLoader.loadPropertyData(this.options.input);
-      const propertyIds = Object.keys(properties);
-      
+      // Step 1: Find the selected properties; each one is loaded when it is built
+      const inputIds = await this.dataLoader.listPropertyIds(this.options.input);
+      const propertyIds = await this.dataLoader.selectPropertyIds(this.options.input, this.options);
+      if (propertyIds.length < inputIds.length) {
+        this.logger.info(`Selected ${propertyIds.length} of ${inputIds.length} properties`);
+      }
+      for (const variant of this.variants) {
+        if (!variant.renderer.hasMessages()) {
+          this.logger.warn(`No message catalog for ${variant.locale}, its pages are in English`);
+        }
+      }
+
+      // Refuse to publish data that does not match its CIDs
+      if (this.options.verifyCids) {
+        await this.verifyCids(propertyIds);
+      }
+
+      // Report lexicon problems before anything is rendered
+      if (this.options.validate) {
+        await this.validateProperties(propertyIds);
+      }
+
+      // Outputs of properties that are no longer in the input go away
+      const cache = this.options.cacheDir === false ? null : new BuildCache(this.options, this.options.cacheDir);
+      let removedCount = 0;
+      if (cache) {
+        await cache.load();
+        for (const propertyId of cache.cachedPropertyIds()) {
+          if (inputIds.includes(propertyId)) continue;
+          const outputs = cache.outputs(propertyId);
+          for (const output of outputs.length > 0 ? outputs : this.propertyOutputs(propertyId)) {
+            await fs.remove(output);
+          }
+          cache.forget(propertyId);
+          removedCount++;
+          this.logger.debug(`Removed output of deleted property ${propertyId}`);
+        }
+      }
+
       if (propertyIds.length === 0) {
-        this.logger.warn('No properties found in input directory');
+        await cache?.save();
+        this.logger.warn(inputIds.length === 0
+          ? 'No properties found in input directory'
+          : 'No properties match the selection');
         return;
       }
 
       this.logger.success(`Found ${propertyIds.length} properties`);
 
-      // Step 2: Build each property
+      // Step 2: Skip properties whose input and templates have not changed
+      const inputHashes = new Map<string, string>();
+      const pendingIds: string[] = [];
+      for (const propertyId of propertyIds) {
+        if (cache) {
+          const inputHash = await cache.hashInput(this.dataLoader.sourcePath(propertyId));
+          inputHashes.set(propertyId, inputHash);
+          if (!this.options.force && cache.isFresh(propertyId, inputHash) && await this.hasPages(propertyId)) {
+            continue;
+          }
+        }
+        pendingIds.push(propertyId);
+      }
+      const skippedCount = propertyIds.length - pendingIds.length;
+      if (skippedCount > 0) {
+        this.logger.info(`Skipping ${skippedCount} unchanged properties`);
+      }
+
+      // Step 3: Load, render and write each property, releasing it afterwards
       let successCount = 0;
       let errorCount = 0;
+      const findings = new Map<string, PropertyFindings>();
+      const onResult = ({ propertyId, roomDiscrepancies = [], unmappedValues = [], error }: PropertyBuildResult) => {
+        if (error) {
+          errorCount++;
+          cache?.forget(propertyId);
+          this.logger.error(`Failed to build ${propertyId}: ${error.message}`, {
+            propertyId,
+            error: error.stack
+          });
+          return;
+        }
+        successCount++;
+        findings.set(propertyId, { roomDiscrepancies, unmappedValues });
+        cache?.record(propertyId, inputHashes.get(propertyId)!, this.propertyOutputs(propertyId), {
+          roomDiscrepancies,
+          unmappedValues
+        });
+        this.logger.progress(successCount, pendingIds.length, 'Building properties');
+      };
 
+      const concurrency = Math.max(1, this.options.concurrency || 1);
+      if (concurrency > 1 && pendingIds.length > 1) {
+        this.logger.info(`Building on ${Math.min(concurrency, pendingIds.length)} worker threads`);
+        await new BuildPool(this.options, concurrency).run(pendingIds, onResult);
+      } else {
+        for (const propertyId of pendingIds) {
+          try {
+            onResult(await this.buildPropertyById(propertyId));
+          } catch (error) {
+            onResult({
+              propertyId,
+              error: { message: (error as Error).message, stack: (error as Error).stack }
+            });
+          }
+        }
+      }
+
+      await cache?.save();
+
+      // Skipped properties, and those outside the selection, report what
+      // their last build found, so the report covers the whole output
+      for (const propertyId of cache?.cachedPropertyIds() ?? []) {
+        if (!findings.has(propertyId)) findings.set(propertyId, cache!.findings(propertyId)!);
+      }
       for (const propertyId of propertyIds) {
-        try {
-          await this.buildProperty(propertyId, properties[propertyId]);
-          successCount++;
-          
-          this.logger.progress(successCount, propertyIds.length, 'Building properties');
-        } catch (error) {
-          errorCount++;
-          this.logger.error(`Failed to build ${propertyId}: ${(error as Error).message}`, {
+        for (const discrepancy of findings.get(propertyId)?.roomDiscrepancies ?? []) {
+          this.logger.warn(`${propertyId}: ${RoomClassifier.describe(discrepancy)}`, {
             propertyId,
-            error: (error as Error).stack
+            discrepancy
           });
         }
       }
+      await this.writeUnmappedReport(findings);
 
       // Final summary
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
       this.logger.section('Build Summary');
       this.logger.success(`Build completed in ${duration}s`);
       this.logger.info(`Successfully built: ${successCount} properties`);
+      if (cache) {
+        this.logger.info(`Skipped (unchanged): ${skippedCount} properties`);
+        this.logger.info(`Removed: ${removedCount} properties`);
+      }
       if (errorCount > 0) {
         this.logger.warn(`Failed: ${errorCount} properties`);
       }
@@ -87,55 +214,183 @@ export class Builder {
     }
   }
 
-  async buildProperty(propertyId: string, propertyData: any): Promise<void> {
-    this.logger.debug(`Building ${propertyId}...`);
+  private async verifyCids(propertyIds: string[]): Promise<void> {
+    this.logger.info('Verifying input CIDs...');
+    let failedProperties = 0;
+    let verifiedFiles = 0;
+    let skippedFiles = 0;
+
+    for (const propertyId of propertyIds) {
+      const { verified, skipped, mismatches } = await this.dataLoader.verifyPropertyCids(propertyId);
+      verifiedFiles += verified;
+      skippedFiles += skipped.length;
+      this.logger.info(`${propertyId}: ${verified} file(s) verified, ${skipped.length} skipped`, {
+        propertyId,
+        skipped
+      });
+      for (const skip of skipped) {
+        this.logger.debug(`  skipped ${skip.source}: ${skip.reason}`);
+      }
+
+      if (mismatches.length > 0) {
+        failedProperties++;
+        this.logger.error(`${propertyId}: ${mismatches.length} file(s) do not match their CID`, {
+          propertyId,
+          mismatches
+        });
+        for (const mismatch of mismatches) {
+          this.logger.error(`  ${mismatch.source}: ${mismatch.reason}`);
+        }
+      } else if (verified === 0) {
+        // Directories that link their files by path are valid, just unverifiable
+        this.logger.warn(`${propertyId}: no CID-named files to verify`, { propertyId });
+      }
+    }
+
+    if (failedProperties > 0) {
+      throw new Error(`CID verification failed for ${failedProperties} of ${propertyIds.length} properties`);
+    }
+    this.logger.success(
+      `Verified ${verifiedFiles} file(s) in ${propertyIds.length} properties (${skippedFiles} skipped)`
+    );
+  }
+
+  private async validateProperties(propertyIds: string[]): Promise<void> {
+    this.logger.info('Validating property data against the lexicon...');
+    const reports = [];
+
+    for (const propertyId of propertyIds) {
+      try {
+        const report = await this.dataLoader.validateProperty(propertyId);
+        reports.push(report);
+        if (report.valid) continue;
+
+        this.logger.warn(`${propertyId}: ${report.issues.length} lexicon issue(s)`, {
+          propertyId,
+          issues: report.issues,
+          unresolved: report.unresolved
+        });
+        for (const issue of report.issues) {
+          this.logger.debug(`  [${issue.lexiconClass}] ${issue.message} (${issue.source})`);
+        }
+        for (const { lexiconClass, reason } of report.unresolved) {
+          this.logger.warn(`  [${lexiconClass}] not checked: ${reason}`);
+        }
+      } catch (error) {
+        this.logger.warn(`Could not validate ${propertyId}: ${(error as Error).message}`);
+      }
+    }
+
+    const reportPath = path.join(this.options.output, 'validation-report.json');
+    await fs.outputJson(reportPath, { properties: reports }, { spaces: 2 });
+
+    const invalid = reports.filter(report => !report.valid).length;
+    if (invalid > 0) {
+      this.logger.warn(`${invalid} of ${reports.length} properties have lexicon issues or unchecked classes, see ${reportPath}`);
+    } else {
+      this.logger.success(`Validated ${reports.length} properties`);
+    }
+  }
 
-    // Create output directory for this property
-    const propertyOutputDir = path.join(this.options.output, propertyId);
-    await fs.ensureDir(propertyOutputDir);
+  // Every enum value the mapping does not cover, with the properties using it
+  private async writeUnmappedReport(findings: Map<string, PropertyFindings>): Promise<void> {
+    const unmapped = new Map<string, UnmappedValueReport>();
+    for (const [propertyId, { unmappedValues }] of findings) {
+      for (const value of unmappedValues) {
+        const key = `${value.lexiconClass}.${value.lexiconProperty}=${value.value}`;
+        if (!unmapped.has(key)) unmapped.set(key, { ...value, properties: [] });
+        unmapped.get(key)!.properties.push(propertyId);
+      }
+    }
 
-    // Render the HTML
-    const html = await this.renderer.renderProperty(propertyId, propertyData);
+    const values = [...unmapped.values()];
+    for (const value of values) value.properties.sort();
+    values.sort((a, b) =>
+      a.lexiconClass.localeCompare(b.lexiconClass) ||
+      a.lexiconProperty.localeCompare(b.lexiconProperty) ||
+      a.value.localeCompare(b.value));
 
-    // Write the HTML file
-    const htmlPath = path.join(propertyOutputDir, 'index.html');
-    await fs.writeFile(htmlPath, html, 'utf8');
+    const reportPath = path.join(this.options.output, 'unmapped-values.json');
+    await fs.outputJson(reportPath, {
+      values: values.map(value => ({ ...value, count: value.properties.length }))
+    }, { spaces: 2 });
 
-    this.logger.debug(`Generated index.html for ${propertyId}`);
+    if (values.length > 0) {
+      this.logger.warn(`${values.length} enum value(s) have no description or icon, see ${reportPath}`);
+      for (const { lexiconClass, lexiconProperty, value, properties } of values) {
+        this.logger.debug(`  [${lexiconClass}] ${lexiconProperty} = ${value} (${properties.length} properties)`);
+      }
+    }
+  }
+
+  // The page directory of the property in each language
+  private propertyOutputs(propertyId: string): string[] {
+    return this.variants.map(variant => path.join(variant.outputDir, propertyId));
+  }
+
+  private async hasPages(propertyId: string): Promise<boolean> {
+    for (const variant of this.variants) {
+      if (!await fs.pathExists(path.join(variant.outputDir, propertyId, 'index.html'))) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  async buildPropertyById(propertyId: string): Promise<PropertyBuildResult> {
+    const propertyData = await this.dataLoader.loadProperty(propertyId);
+    return this.buildProperty(propertyId, propertyData);
+  }
+
+  async buildProperty(propertyId: string, propertyData: any): Promise<PropertyBuildResult> {
+    this.logger.debug(`Building ${propertyId}...`);
 
-    // Copy/manage assets
     const propertyDataPath = path.join(this.options.input, propertyId);
-    await this.assetManager.copyAssets(this.options.output, propertyId, propertyDataPath, propertyData);
+    const completeness = this.auditor.audit(propertyId, propertyData);
 
-    // Create manifest file
-    await this.assetManager.createManifest(this.options.output, propertyId, propertyData);
+    for (const { locale, outputDir, renderer } of this.variants) {
+      // Create output directory for this property
+      const propertyOutputDir = path.join(outputDir, propertyId);
+      await fs.ensureDir(propertyOutputDir);
+
+      // Render the HTML
+      const html = await renderer.renderProperty(propertyId, propertyData);
+
+      // Write the HTML file
+      const htmlPath = path.join(propertyOutputDir, 'index.html');
+      await fs.writeFile(htmlPath, html, 'utf8');
+
+      this.logger.debug(`Generated index.html for ${propertyId} (${locale})`);
+
+      // Copy/manage assets
+      await this.assetManager.copyAssets(outputDir, propertyId, propertyDataPath, propertyData);
+
+      // Create manifest file, with how complete the property's data is
+      await this.assetManager.createManifest(outputDir, propertyId, propertyData, completeness);
+    }
 
     this.logger.debug(`Completed ${propertyId}`);
+    return {
+      propertyId,
+      roomDiscrepancies: propertyData.room_counts?.discrepancies ?? [],
+      unmappedValues: propertyData.unmapped_values ?? []
+    };
   }
 
   async validateInput(): Promise<string[]> {
-    // Check if input directory exists
+    // Check if input exists
     if (!await fs.pathExists(this.options.input)) {
       throw new Error(`Input directory does not exist: ${this.options.input}`);
     }
 
-    // Check if input directory has property subdirectories
-    const items = await fs.readdir(this.options.input);
-    const directories: string[] = [];
-    
-    for (const item of items) {
-      const itemPath = path.join(this.options.input, item);
-      const stats = await fs.stat(itemPath);
-      if (stats.isDirectory()) {
-        directories.push(item);
-      }
-    }
+    // Check if input has property directories or .car archives
+    const propertyIds = await this.dataLoader.listPropertyIds(this.options.input);
 
-    if (directories.length === 0) {
-      throw new Error('No property directories found in input directory');
+    if (propertyIds.length === 0) {
+      throw new Error('No property directories or .car files found in input');
     }
 
-    return directories;
+    return propertyIds;
   }
 
   async cleanup(): Promise<void> {
@@ -0,0 +1,86 @@
+import * as fs from "fs";
+import { CarBlockIterator } from "@ipld/car";
+import * as dagJson from "@ipld/dag-json";
+import * as dagCbor from "@ipld/dag-cbor";
+import * as json from "multiformats/codecs/json";
+import * as raw from "multiformats/codecs/raw";
+import { CID } from "multiformats/cid";
+import type { DataNode } from "./ipld-data-loader.js";
+
+export interface CarContents {
+  roots: string[];
+  nodes: Map<string, DataNode>;
+}
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Reads a Content-Addressable aRchive into DataNodes keyed by block CID.
+ *
+ * dag-json and dag-cbor links are CID objects once decoded; they are turned
+ * back into `{ "/": "<cid>" }` links so the rest of the loader can resolve
+ * them the same way as links between files in a property directory.
+ */
+export class CarLoader {
+  async load(carPath: string): Promise<CarContents> {
+    const stream = fs.createReadStream(carPath);
+    const iterator = await CarBlockIterator.fromIterable(stream);
+    const roots = (await iterator.getRoots()).map((root) => root.toString());
+
+    const nodes = new Map<string, DataNode>();
+
+    for await (const { cid, bytes } of iterator) {
+      const data = this.decodeBlock(cid, bytes);
+      if (data === undefined) {
+        continue;
+      }
+      const key = cid.toString();
+      nodes.set(key, {
+        cid: key,
+        filePath: `${carPath}#${key}`,
+        data: this.normalizeLinks(data),
+        relationships: new Map(),
+      });
+    }
+
+    return { roots, nodes };
+  }
+
+  private decodeBlock(cid: CID, bytes: Uint8Array): any {
+    switch (cid.code) {
+      case dagJson.code:
+        return dagJson.decode(bytes);
+      case dagCbor.code:
+        return dagCbor.decode(bytes);
+      case json.code:
+        return json.decode(bytes);
+      case raw.code:
+        // Raw blocks are either JSON documents or binary files (images)
+        try {
+          return JSON.parse(textDecoder.decode(bytes));
+        } catch {
+          return undefined;
+        }
+      default:
+        return undefined;
+    }
+  }
+
+  private normalizeLinks(value: any): any {
+    const cid = CID.asCID(value);
+    if (cid) {
+      return { "/": cid.toString() };
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this.normalizeLinks(item));
+    }
+    if (value && typeof value === "object" && !(value instanceof Uint8Array)) {
+      const result: Record<string, any> = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = this.normalizeLinks(item);
+      }
+      return result;
+    }
+    return value;
+  }
+}
@@ -0,0 +1,233 @@
+import path from "path";
+import fs from "fs-extra";
+import { CarBlockIterator } from "@ipld/car";
+import * as dagJson from "@ipld/dag-json";
+import * as dagCbor from "@ipld/dag-cbor";
+import * as json from "multiformats/codecs/json";
+import * as raw from "multiformats/codecs/raw";
+import { CID } from "multiformats/cid";
+import { identity } from "multiformats/hashes/identity";
+import { sha256, sha512 } from "multiformats/hashes/sha2";
+import { equals } from "multiformats/bytes";
+
+export interface CidMismatch {
+  cid: string;
+  source: string;
+  reason: string;
+}
+
+export interface CidSkip {
+  source: string;
+  reason: string;
+}
+
+export interface CidReport {
+  // Files or blocks whose content matched their CID
+  verified: number;
+  skipped: CidSkip[];
+  mismatches: CidMismatch[];
+}
+
+// A link from one file of a property directory to another
+interface FileLink {
+  file: string;
+  // The CID the link claims for the file; null for links by path
+  cid: CID | null;
+}
+
+type Hasher = { code: number; digest(input: Uint8Array): any };
+
+const HASHERS: Record<number, Hasher> = {
+  [sha256.code]: sha256,
+  [sha512.code]: sha512,
+  [identity.code]: identity,
+};
+
+/**
+ * Checks that content-addressed input matches the CID it is stored under.
+ *
+ * Bytes are hashed with the hash function named in the CID. JSON content that
+ * does not match byte-for-byte is re-encoded in the codec's canonical form
+ * before it is rejected, so pretty-printed copies of valid blocks still pass.
+ *
+ * In a property directory the data-group roots are the CID-named files that
+ * no other file links to. They are named after their schema rather than their
+ * content, so they are skipped, and what gets verified is every file reached
+ * from them through a link that names its CID. Files reached only by path
+ * have nothing to be checked against and are skipped as well.
+ */
+export class CidVerifier {
+  async verifyDirectory(dir: string): Promise<CidReport> {
+    const report: CidReport = { verified: 0, skipped: [], mismatches: [] };
+    const files = (await fs.readdir(dir)).filter((f) => f.endsWith(".json"));
+
+    const links = new Map<string, FileLink[]>();
+    for (const file of files) {
+      links.set(file, await this.readLinks(path.join(dir, file)));
+    }
+    const linked = new Set(
+      [...links.values()].flat().map((link) => link.file),
+    );
+    const roots = files.filter(
+      (file) => this.fileCid(file) !== null && !linked.has(file),
+    );
+
+    // Every file reachable from the roots, with the CIDs links claim for it
+    const claims = new Map<string, Map<string, CID>>();
+    const queue = [...roots];
+    const visited = new Set(roots);
+    while (queue.length > 0) {
+      for (const link of links.get(queue.shift()!) ?? []) {
+        if (!claims.has(link.file)) claims.set(link.file, new Map());
+        if (link.cid) claims.get(link.file)!.set(link.cid.toString(), link.cid);
+        if (!visited.has(link.file)) {
+          visited.add(link.file);
+          queue.push(link.file);
+        }
+      }
+    }
+
+    for (const root of roots) {
+      report.skipped.push({
+        source: path.join(dir, root),
+        reason: "data-group root, named after its schema",
+      });
+    }
+    for (const [file, cids] of claims) {
+      const source = path.join(dir, file);
+      if (!links.has(file)) {
+        report.skipped.push({ source, reason: "not in the property directory" });
+        continue;
+      }
+      if (cids.size === 0) {
+        report.skipped.push({ source, reason: "only linked by path" });
+        continue;
+      }
+
+      const bytes = new Uint8Array(await fs.readFile(source));
+      let matched = true;
+      for (const [name, cid] of cids) {
+        const reason = await this.verifyBytes(cid, bytes);
+        if (reason) {
+          report.mismatches.push({ cid: name, source, reason });
+          matched = false;
+        }
+      }
+      if (matched) report.verified++;
+    }
+
+    return report;
+  }
+
+  async verifyCar(carPath: string): Promise<CidReport> {
+    const report: CidReport = { verified: 0, skipped: [], mismatches: [] };
+    const iterator = await CarBlockIterator.fromIterable(
+      fs.createReadStream(carPath),
+    );
+
+    for await (const { cid, bytes } of iterator) {
+      const reason = await this.verifyBytes(cid, bytes);
+      if (reason) {
+        report.mismatches.push({
+          cid: cid.toString(),
+          source: `${carPath}#${cid.toString()}`,
+          reason,
+        });
+      } else {
+        report.verified++;
+      }
+    }
+
+    return report;
+  }
+
+  async verifyBytes(cid: CID, bytes: Uint8Array): Promise<string | null> {
+    const hasher = HASHERS[cid.multihash.code];
+    if (!hasher) {
+      return `unsupported hash function 0x${cid.multihash.code.toString(16)}`;
+    }
+
+    if (await this.digestMatches(cid, hasher, bytes)) {
+      return null;
+    }
+
+    const canonical = this.canonicalize(cid.code, bytes);
+    if (canonical && (await this.digestMatches(cid, hasher, canonical))) {
+      return null;
+    }
+
+    const actual = CID.create(1, cid.code, await hasher.digest(bytes));
+    return `content hashes to ${actual.toString()}`;
+  }
+
+  private async digestMatches(
+    cid: CID,
+    hasher: Hasher,
+    bytes: Uint8Array,
+  ): Promise<boolean> {
+    const digest = await hasher.digest(bytes);
+    return equals(digest.bytes, cid.multihash.bytes);
+  }
+
+  private canonicalize(codec: number, bytes: Uint8Array): Uint8Array | null {
+    try {
+      switch (codec) {
+        case dagJson.code:
+          return dagJson.encode(dagJson.decode(bytes));
+        case dagCbor.code:
+          return dagCbor.encode(dagCbor.decode(bytes));
+        case json.code:
+        case raw.code:
+          return json.encode(json.decode(bytes));
+        default:
+          return null;
+      }
+    } catch {
+      return null;
+    }
+  }
+
+  // Links are `{ "/": "<cid>" }` or `{ "/": "./<file>.json" }`
+  private async readLinks(filePath: string): Promise<FileLink[]> {
+    let data: unknown;
+    try {
+      data = await fs.readJson(filePath);
+    } catch {
+      return [];
+    }
+
+    const links: FileLink[] = [];
+    const visit = (value: unknown) => {
+      if (Array.isArray(value)) {
+        value.forEach(visit);
+      } else if (value && typeof value === "object") {
+        const target = (value as Record<string, unknown>)["/"];
+        if (typeof target === "string") {
+          links.push(this.link(target));
+          return;
+        }
+        Object.values(value).forEach(visit);
+      }
+    };
+    visit(data);
+    return links;
+  }
+
+  private link(target: string): FileLink {
+    if (target.startsWith("./") || target.endsWith(".json")) {
+      const file = path.basename(target);
+      return { file, cid: this.fileCid(file) };
+    }
+    const file = `${target}.json`;
+    return { file, cid: this.fileCid(file) };
+  }
+
+  // The CID a file is named by, if it is
+  private fileCid(file: string): CID | null {
+    try {
+      return CID.parse(path.basename(file, ".json"));
+    } catch {
+      return null;
+    }
+  }
+}
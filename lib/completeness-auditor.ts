@@ -0,0 +1,156 @@
+import { TemplateData } from "../types/property.js";
+import defaultRules from "./completeness-rules.json" with { type: "json" };
+
+// Per data label, the entities it should provide and the fields each of them
+// should have a value for
+export type CompletenessRules = Record<string, Record<string, string[]>>;
+
+export interface EntityCompleteness {
+  entity: string;
+  // Data labels of the property that should provide the entity
+  expectedBy: string[];
+  records: number;
+  missingFields: string[];
+}
+
+export interface CompletenessReport {
+  propertyId: string;
+  labels: string[];
+  // Share of expected entities and fields that are present, 0-100
+  score: number;
+  entities: EntityCompleteness[];
+  missingEntities: string[];
+  // As "<entity>.<field>"
+  missingFields: string[];
+}
+
+export interface CompletenessSummary {
+  properties: number;
+  averageScore: number;
+  // How many properties lack each entity or field, most common first
+  missingEntities: Record<string, number>;
+  missingFields: Record<string, number>;
+}
+
+/**
+ * Scores how much of what a property's data groups should provide is there.
+ *
+ * Each expected entity counts once for being present and once per expected
+ * field that has a value; for collections (sales, tax years, rooms) a field
+ * counts when any record has it. A missing entity misses all its fields.
+ */
+export class CompletenessAuditor {
+  private rules: CompletenessRules;
+
+  constructor(rules: CompletenessRules = defaultRules) {
+    this.rules = rules;
+  }
+
+  audit(propertyId: string, data: TemplateData): CompletenessReport {
+    const labels = (data.dataLabels ?? [data.dataLabel]).filter(
+      (label): label is string => !!label,
+    );
+
+    // What the labels expect, combined
+    const expected = new Map<string, { labels: string[]; fields: string[] }>();
+    for (const label of labels) {
+      for (const [entity, fields] of Object.entries(this.rules[label] ?? {})) {
+        const entry = expected.get(entity) ?? { labels: [], fields: [] };
+        entry.labels.push(label);
+        for (const field of fields) {
+          if (!entry.fields.includes(field)) entry.fields.push(field);
+        }
+        expected.set(entity, entry);
+      }
+    }
+
+    let possible = 0;
+    let achieved = 0;
+    const entities: EntityCompleteness[] = [];
+    for (const [entity, { labels: expectedBy, fields }] of expected) {
+      const records = this.records(entity, data);
+      const missingFields = fields.filter(
+        (field) => !records.some((record) => record[field] != null),
+      );
+
+      possible += 1 + fields.length;
+      if (records.length > 0) {
+        achieved += 1 + fields.length - missingFields.length;
+      }
+      entities.push({
+        entity,
+        expectedBy,
+        records: records.length,
+        missingFields,
+      });
+    }
+
+    return {
+      propertyId,
+      labels,
+      score: possible === 0 ? 100 : Math.round((achieved / possible) * 100),
+      entities,
+      missingEntities: entities
+        .filter((e) => e.records === 0)
+        .map((e) => e.entity),
+      missingFields: entities.flatMap((e) =>
+        e.missingFields.map((field) => `${e.entity}.${field}`),
+      ),
+    };
+  }
+
+  summarize(reports: CompletenessReport[]): CompletenessSummary {
+    const count = (keys: string[]) => {
+      const counts: Record<string, number> = {};
+      for (const key of keys) counts[key] = (counts[key] ?? 0) + 1;
+      return Object.fromEntries(
+        Object.entries(counts).sort(([, a], [, b]) => b - a),
+      );
+    };
+
+    const total = reports.reduce((sum, report) => sum + report.score, 0);
+    return {
+      properties: reports.length,
+      averageScore:
+        reports.length === 0 ? 0 : Math.round(total / reports.length),
+      missingEntities: count(reports.flatMap((r) => r.missingEntities)),
+      missingFields: count(reports.flatMap((r) => r.missingFields)),
+    };
+  }
+
+  toCsv(reports: CompletenessReport[]): string {
+    const rows = [
+      ["property_id", "labels", "score", "missing_entities", "missing_fields"],
+      ...reports.map((report) => [
+        report.propertyId,
+        report.labels.join("; "),
+        report.score.toString(),
+        report.missingEntities.join("; "),
+        report.missingFields.join("; "),
+      ]),
+    ];
+    return (
+      rows.map((row) => row.map(this.csvCell).join(",")).join("\n") + "\n"
+    );
+  }
+
+  // Field values of every record of the entity
+  private records(entity: string, data: TemplateData): Record<string, any>[] {
+    if (entity === "carousel_images") {
+      return (data.carousel_images ?? []) as Record<string, any>[];
+    }
+
+    const merged = data.merged?.entities?.[entity];
+    const summaries = Array.isArray(merged) ? merged : merged ? [merged] : [];
+    return summaries.map((summary) => {
+      const fields: Record<string, { value: any }> = summary.fields ?? {};
+      return Object.fromEntries(
+        Object.entries(fields).map(([field, { value }]) => [field, value]),
+      );
+    });
+  }
+
+  private csvCell(value: string): string {
+    return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }
+}
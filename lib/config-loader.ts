@@ -1,5 +1,6 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { EnumMappingEntry, MergeRulesOptions, RoomRulesOptions } from '../types/property.js';
 
 export interface FactSheetConfig {
   input?: string;
@@ -14,6 +15,40 @@ export interface FactSheetConfig {
     domain?: string;
     inlineCss?: boolean;
     inlineJs?: boolean;
+    verifyCids?: boolean;
+    validate?: boolean;
+    concurrency?: number;
+    // Incremental build cache location, or false to disable it
+    cacheDir?: string | false;
+  };
+  schemas?: {
+    dir?: string;
+    cacheDir?: string;
+    gateway?: string;
+    offline?: boolean;
+    lexiconDir?: string;
+  };
+  // Data-group precedence rules, or a path to a JSON file with them
+  merge?: string | MergeRulesOptions;
+  // Bedroom and bathroom counting rules, or a path to a JSON file with them
+  rooms?: string | RoomRulesOptions;
+  // Enum descriptions and icons layered over the bundled mapping, or a path
+  // to a JSON file with them
+  mapping?: string | EnumMappingEntry[];
+  // BCP 47 tag of the pages' language, numbers and money, e.g. "en-GB";
+  // en-US by default. Several build a variant of every page per locale
+  locale?: string | string[];
+  // Directory of <locale>.json message catalogs layered over the bundled ones
+  messages?: string;
+  // ISO 4217 code; USD by default
+  currency?: string;
+  // How areas and lengths are shown; imperial by default
+  units?: 'imperial' | 'metric';
+  dates?: {
+    // IANA zone, e.g. "America/New_York"; UTC by default
+    timeZone?: string;
+    // Named formats for the formatDate filter, as Luxon format tokens
+    formats?: Record<string, string>;
   };
 }
 
@@ -80,6 +115,71 @@ export class ConfigLoader {
       if (config.build.inlineJs !== undefined && cliOptions.inlineJs === undefined) {
         merged.inlineJs = config.build.inlineJs;
       }
+      if (config.build.verifyCids !== undefined && cliOptions.verifyCids === undefined) {
+        merged.verifyCids = config.build.verifyCids;
+      }
+      if (config.build.validate !== undefined && cliOptions.validate === undefined) {
+        merged.validate = config.build.validate;
+      }
+      if (config.build.concurrency && !cliOptions.concurrency) {
+        merged.concurrency = config.build.concurrency;
+      }
+      if (config.build.cacheDir !== undefined && !cliOptions.cacheDir) {
+        merged.cacheDir = config.build.cacheDir;
+      }
+    }
+
+    // Schema resolution options
+    if (config.schemas) {
+      if (config.schemas.dir && !cliOptions.schemaDir) {
+        merged.schemaDir = config.schemas.dir;
+      }
+      if (config.schemas.cacheDir && !cliOptions.schemaCacheDir) {
+        merged.schemaCacheDir = config.schemas.cacheDir;
+      }
+      if (config.schemas.gateway && !cliOptions.schemaGateway) {
+        merged.schemaGateway = config.schemas.gateway;
+      }
+      if (config.schemas.offline !== undefined && cliOptions.offline === undefined) {
+        merged.offline = config.schemas.offline;
+      }
+      if (config.schemas.lexiconDir && !cliOptions.lexiconDir) {
+        merged.lexiconDir = config.schemas.lexiconDir;
+      }
+    }
+
+    if (config.merge && !cliOptions.mergeRules) {
+      merged.mergeRules = config.merge;
+    }
+
+    if (config.rooms && !cliOptions.roomRules) {
+      merged.roomRules = config.rooms;
+    }
+
+    if (config.mapping && !cliOptions.enumMapping) {
+      merged.enumMapping = config.mapping;
+    }
+
+    if (config.locale && !cliOptions.locale) {
+      merged.locale = config.locale;
+    }
+    if (config.messages && !cliOptions.messages) {
+      merged.messages = config.messages;
+    }
+    if (config.currency && !cliOptions.currency) {
+      merged.currency = config.currency;
+    }
+    if (config.units && !cliOptions.units) {
+      merged.units = config.units;
+    }
+
+    if (config.dates) {
+      if (config.dates.timeZone && !cliOptions.timeZone) {
+        merged.timeZone = config.dates.timeZone;
+      }
+      if (config.dates.formats) {
+        merged.dateFormats = config.dates.formats;
+      }
     }
 
     return merged;
@@ -99,6 +199,11 @@ export class ConfigLoader {
         domain: "https://elephant.xyz/homes/public",
         inlineCss: false,
         inlineJs: false
+      },
+      schemas: {
+        cacheDir: ".factsheet-cache/schemas",
+        gateway: "https://ipfs.io/ipfs/",
+        offline: false
       }
     };
 
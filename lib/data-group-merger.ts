@@ -0,0 +1,190 @@
+import type { DataNode } from "./ipld-data-loader.js";
+import defaultRules from "./merge-rules.json" with { type: "json" };
+
+export interface MergeRules {
+  // Data-group labels, highest precedence first. Groups that are not listed
+  // rank below the listed ones, in the order the property lists them.
+  default: string[];
+  // Per lexicon class, e.g. "layout"
+  classes: Record<string, string[]>;
+  // Per field as "<class>.<field>", e.g. "structure.roof_condition"
+  fields: Record<string, string[]>;
+}
+
+export interface GroupContribution {
+  group: string;
+  node: DataNode;
+}
+
+export interface MergedField {
+  value: any;
+  // The group and node the value was taken from
+  group: string;
+  cid: string;
+  // Every group that has a value for the field
+  groups: string[];
+  // The request the source node was fetched with, and its footnote on the
+  // page once the property's sources are numbered
+  source_http_request: any;
+  footnote?: number;
+}
+
+export interface MergedNode extends DataNode {
+  lexiconClass: string;
+  groups: string[];
+  fields: Record<string, MergedField>;
+  sources: GroupContribution[];
+}
+
+export interface MergedEntitySummary {
+  groups: string[];
+  fields: Record<string, MergedField>;
+}
+
+/**
+ * Combines the nodes that several data groups supply for the same entity.
+ *
+ * Each field takes the first non-null value in precedence order, so a County
+ * record and a Photo Metadata record of the same structure end up as one
+ * structure with every field either of them knows. Collections (rooms, sales,
+ * tax years) are matched up by a key first and merged item by item.
+ */
+export class DataGroupMerger {
+  private rules: MergeRules;
+
+  constructor(rules: Partial<MergeRules> = {}) {
+    this.rules = {
+      default: rules.default ?? defaultRules.default,
+      classes: { ...defaultRules.classes, ...rules.classes },
+      fields: { ...defaultRules.fields, ...rules.fields },
+    };
+  }
+
+  precedence(lexiconClass: string, field?: string): string[] {
+    return (
+      (field && this.rules.fields[`${lexiconClass}.${field}`]) ||
+      this.rules.classes[lexiconClass] ||
+      this.rules.default
+    );
+  }
+
+  sortGroups(groups: string[], lexiconClass?: string): string[] {
+    const order = lexiconClass
+      ? this.precedence(lexiconClass)
+      : this.rules.default;
+    return this.sortBy(groups, (group) => group, order);
+  }
+
+  mergeEntity(
+    lexiconClass: string,
+    contributions: GroupContribution[],
+  ): MergedNode | undefined {
+    // A node listed several times by one group only contributes once
+    const distinct = contributions.filter(
+      (c, i) =>
+        contributions.findIndex(
+          (other) => other.node === c.node && other.group === c.group,
+        ) === i,
+    );
+    if (distinct.length === 0) return undefined;
+
+    const ordered = this.sortBy(
+      distinct,
+      (c) => c.group,
+      this.precedence(lexiconClass),
+    );
+
+    const keys = new Set<string>();
+    for (const { node } of ordered) {
+      Object.keys(node.data ?? {}).forEach((key) => keys.add(key));
+    }
+
+    const data: Record<string, any> = {};
+    const fields: Record<string, MergedField> = {};
+    for (const key of keys) {
+      const byField = this.sortBy(
+        ordered.filter(({ node }) => node.data && key in node.data),
+        (c) => c.group,
+        this.precedence(lexiconClass, key),
+      );
+      const withValue = byField.filter(({ node }) => node.data[key] != null);
+      const chosen = withValue[0] ?? byField[0];
+
+      data[key] = chosen.node.data[key];
+      fields[key] = {
+        value: data[key],
+        group: chosen.group,
+        cid: chosen.node.cid,
+        groups: this.unique(withValue.map((c) => c.group)),
+        source_http_request: chosen.node.data.source_http_request ?? null,
+      };
+    }
+
+    const primary = ordered[0].node;
+    return {
+      cid: primary.cid,
+      filePath: primary.filePath,
+      data,
+      relationships: primary.relationships,
+      lexiconClass,
+      groups: this.unique(ordered.map((c) => c.group)),
+      fields,
+      sources: ordered,
+    };
+  }
+
+  // Items are matched by key and occurrence, so the second "Bedroom" of one
+  // group merges with the second "Bedroom" of another. Items without a key
+  // are never merged.
+  mergeCollection(
+    lexiconClass: string,
+    contributions: GroupContribution[],
+    keyOf: (data: any) => string | null | undefined,
+  ): MergedNode[] {
+    const ordered = this.sortBy(
+      contributions,
+      (c) => c.group,
+      this.precedence(lexiconClass),
+    );
+
+    const buckets = new Map<string, GroupContribution[]>();
+    const occurrences = new Map<string, number>();
+    for (const contribution of ordered) {
+      const key = keyOf(contribution.node.data);
+      let bucketKey = `node:${contribution.node.filePath}`;
+      if (key != null) {
+        const counter = `${contribution.group}\u0000${key}`;
+        const n = occurrences.get(counter) ?? 0;
+        occurrences.set(counter, n + 1);
+        bucketKey = `key:${key}\u0000${n}`;
+      }
+      const bucket = buckets.get(bucketKey) ?? [];
+      buckets.set(bucketKey, [...bucket, contribution]);
+    }
+
+    return [...buckets.values()].map(
+      (bucket) => this.mergeEntity(lexiconClass, bucket)!,
+    );
+  }
+
+  summarize(node: MergedNode): MergedEntitySummary {
+    return { groups: node.groups, fields: node.fields };
+  }
+
+  private sortBy<T>(
+    items: T[],
+    groupOf: (item: T) => string,
+    order: string[],
+  ): T[] {
+    const rank = (item: T) => {
+      const index = order.indexOf(groupOf(item));
+      return index === -1 ? order.length : index;
+    };
+    // Array.prototype.sort is stable, unlisted groups keep their order
+    return [...items].sort((a, b) => rank(a) - rank(b));
+  }
+
+  private unique(values: string[]): string[] {
+    return [...new Set(values)];
+  }
+}
@@ -1,17 +1,41 @@
 import path from "path";
 import fs from "fs-extra";
 import { Logger } from "./logger.js";
-import { BuilderOptions, TemplateData } from "../types/property.js";
-import { IPLDDataLoader, PropertyData } from "./ipld-data-loader.js";
-import { JsonSchema } from "../types/schema.js";
+import { glob } from "glob";
+import {
+  BuilderOptions,
+  PropertySelection,
+  TemplateData,
+} from "../types/property.js";
+import {
+  DataNode,
+  IPLDDataLoader,
+  PropertyData,
+  PropertyGraph,
+} from "./ipld-data-loader.js";
+import { SchemaResolver } from "./schema-resolver.js";
+import { CidReport, CidVerifier } from "./cid-verifier.js";
+import {
+  LexiconValidator,
+  PropertyValidationReport,
+} from "./lexicon-validator.js";
+import { GraphExporter, PropertyGraphExport } from "./graph-exporter.js";
+import { SalesAnalytics } from "./sales-analytics.js";
+import { DateFormatter } from "./date-formatter.js";
 import { CID } from 'multiformats/cid'
-import { existsSync, PathLike } from "fs";
+
+export interface PropertyStages {
+  propertyGraph: PropertyGraph;
+  propertyData: PropertyData;
+  templateData: TemplateData;
+}
 
 export class DataLoader {
   private logger: Logger;
   private ipldLoader: IPLDDataLoader;
-  private dataDir: string
-  private fsReadCache: Record<string, any>
+  private schemaResolver: SchemaResolver
+  private validator: LexiconValidator;
+  private dates: DateFormatter;
 
   constructor(options: BuilderOptions) {
     this.logger = new Logger({
@@ -20,102 +44,232 @@ export class DataLoader {
       ci: options.ci,
       logFile: options.logFile,
     });
-    this.dataDir = options.input;
-    this.ipldLoader = new IPLDDataLoader(options.input);
-    this.fsReadCache = {};
+    this.dates = new DateFormatter({
+      zone: options.timeZone,
+      formats: options.dateFormats,
+    });
+    this.ipldLoader = new IPLDDataLoader(options.input, {
+      mergeRules:
+        typeof options.mergeRules === "string"
+          ? fs.readJsonSync(options.mergeRules)
+          : options.mergeRules,
+      roomRules:
+        typeof options.roomRules === "string"
+          ? fs.readJsonSync(options.roomRules)
+          : options.roomRules,
+      enumMapping:
+        typeof options.enumMapping === "string"
+          ? fs.readJsonSync(options.enumMapping)
+          : options.enumMapping,
+      logger: this.logger,
+      dates: this.dates,
+    });
+    this.schemaResolver = new SchemaResolver(
+      {
+        schemaDir: options.schemaDir,
+        cacheDir: options.schemaCacheDir,
+        gateway: options.schemaGateway,
+        offline: options.offline,
+      },
+      this.logger,
+    );
+    this.validator = new LexiconValidator(this.schemaResolver, options.lexiconDir);
   }
 
   async loadPropertyData(
     inputDir: string,
   ): Promise<Record<string, TemplateData>> {
-    const homes: Record<string, any> = {};
+    const homes: Record<string, TemplateData> = {};
 
-    const directories = await fs.readdir(inputDir);
+    const propertyIds = await this.listPropertyIds(inputDir);
     this.logger.info("Using IPLD data loader");
 
-    for (const dir of directories) {
-      const dirPath = path.join(inputDir, dir);
-      const stats = await fs.stat(dirPath);
-
-      if (stats.isDirectory()) {
-        try {
-          const propertyData = await this.ipldLoader.loadPropertyData(dir);
-          homes[dir] = this.transformIPLDData(propertyData);
-          homes[dir].flattenedData = await this.flattenData(dir);
-        } catch (error) {
-          this.logger.warn(
-            `Failed to load IPLD data for ${dir}: ${(error as Error).stack}`,
-          );
-        }
+    for (const propertyId of propertyIds) {
+      try {
+        homes[propertyId] = await this.loadProperty(propertyId);
+      } catch (error) {
+        this.logger.warn(
+          `Failed to load IPLD data for ${propertyId}: ${(error as Error).stack}`,
+        );
       }
     }
 
-    return homes as Record<string, TemplateData>;
+    return homes;
   }
 
-  private async flattenData(rootCID: string): Promise<Record<string, any>> {
-    const rootDir = path.join(this.dataDir, rootCID);
-    if (!existsSync(rootDir)) {
-      throw new Error(`Root directory not found: ${rootDir}`);
+  // Loads and transforms one property. Its graph is released afterwards, so
+  // only the template data stays in memory.
+  async loadProperty(propertyId: string): Promise<TemplateData> {
+    return (await this.loadPropertyStages(propertyId)).templateData;
+  }
+
+  // Every stage of loading one property, for debugging a sheet
+  async loadPropertyStages(propertyId: string): Promise<PropertyStages> {
+    const propertyGraph = await this.ipldLoader.loadGraph(propertyId);
+    try {
+      const propertyData = await this.ipldLoader.transformGraph(propertyGraph);
+      const templateData: TemplateData = this.transformIPLDData(propertyData);
+      templateData.flattenedData = await this.flattenData(propertyGraph);
+      return { propertyGraph, propertyData, templateData };
+    } finally {
+      this.ipldLoader.releaseGraph(propertyGraph);
     }
-    const files = await fs.readdir(rootDir);
-    const jsonFiles = files.filter((f) => f.endsWith(".json"));
-    const result: Record<string, any> = {};
-    const validFiles = jsonFiles.filter(file => {
-      const cid = path.basename(file, ".json");
-      try {
-        CID.parse(cid);
-        return true;
-      } catch {
-        return false;
+  }
+
+  // Properties are either directories of JSON files or .car archives; the
+  // input itself may also be a single .car file
+  async listPropertyIds(input: string): Promise<string[]> {
+    const stats = await fs.stat(input);
+    if (stats.isFile()) {
+      return input.endsWith(".car") ? [path.basename(input, ".car")] : [];
+    }
+
+    const propertyIds: string[] = [];
+    for (const entry of await fs.readdir(input)) {
+      const entryStats = await fs.stat(path.join(input, entry));
+      if (entryStats.isDirectory()) {
+        propertyIds.push(entry);
+      } else if (entryStats.isFile() && entry.endsWith(".car")) {
+        propertyIds.push(path.basename(entry, ".car"));
       }
-    });
+    }
+    return propertyIds;
+  }
+
+  // Narrows the input's properties down to the selected ones. Ids come from
+  // `properties` and the list file; `match` globs are matched against the
+  // directory and archive names in the input.
+  async selectPropertyIds(
+    input: string,
+    selection: PropertySelection,
+  ): Promise<string[]> {
+    const propertyIds = await this.listPropertyIds(input);
+    const wanted = [...(selection.properties ?? [])];
+    if (selection.fromList) {
+      wanted.push(...(await this.readPropertyList(selection.fromList)));
+    }
+    const patterns = selection.match ?? [];
+    if (wanted.length === 0 && patterns.length === 0) {
+      return propertyIds;
+    }
+
+    for (const propertyId of wanted) {
+      if (!propertyIds.includes(propertyId)) {
+        this.logger.warn(`Property ${propertyId} not found in ${input}`);
+      }
+    }
+
+    const matched = new Set<string>();
+    if (patterns.length > 0) {
+      const cwd = (await fs.stat(input)).isFile() ? path.dirname(input) : input;
+      const entries = await glob(
+        patterns.flatMap((pattern) => [pattern, `${pattern}.car`]),
+        { cwd },
+      );
+      for (const entry of entries) {
+        matched.add(
+          entry.endsWith(".car") ? path.basename(entry, ".car") : entry,
+        );
+      }
+    }
 
-    await Promise.all(validFiles.map(async (file) => {
-      const cid = path.basename(file, ".json");
-      const parsedCid = CID.parse(cid);
-      const label = await this.getGroupTitle(parsedCid);
-      const content = await fs.readFile(path.join(rootDir.toString(), file.toString()), "utf-8");
-      const data = JSON.parse(content);
-      result[label] = await this.traverseLinkedData(data, rootDir);
+    return propertyIds.filter(
+      (propertyId) => wanted.includes(propertyId) || matched.has(propertyId),
+    );
+  }
+
+  // One property id per line; blank lines and # comments are ignored
+  private async readPropertyList(listPath: string): Promise<string[]> {
+    const content = await fs.readFile(listPath, "utf8");
+    return content
+      .split(/\r?\n/)
+      .map((line) => line.replace(/#.*$/, "").trim())
+      .filter((line) => line.length > 0);
+  }
+
+  // The property's directory or .car archive
+  sourcePath(propertyId: string): string {
+    return this.ipldLoader.sourcePath(propertyId);
+  }
+
+  async verifyPropertyCids(propertyId: string): Promise<CidReport> {
+    const source = this.sourcePath(propertyId);
+    const verifier = new CidVerifier();
+    return source.endsWith(".car")
+      ? verifier.verifyCar(source)
+      : verifier.verifyDirectory(source);
+  }
+
+  async validateProperty(propertyId: string): Promise<PropertyValidationReport> {
+    const propertyGraph = await this.ipldLoader.loadGraph(propertyId);
+    try {
+      const nodes = this.ipldLoader.classifyNodes(propertyGraph);
+      return await this.validator.validate(propertyId, nodes);
+    } finally {
+      this.ipldLoader.releaseGraph(propertyGraph);
+    }
+  }
+
+  async exportGraph(propertyId: string): Promise<PropertyGraphExport> {
+    const propertyGraph = await this.ipldLoader.loadGraph(propertyId);
+    try {
+      return new GraphExporter(this.ipldLoader).export(propertyId, propertyGraph);
+    } finally {
+      this.ipldLoader.releaseGraph(propertyGraph);
+    }
+  }
+
+  private async flattenData(propertyGraph: PropertyGraph): Promise<Record<string, any>> {
+    const result: Record<string, any> = {};
+
+    await Promise.all(propertyGraph.dataGroups.map(async ({ node, schemaCid }) => {
+      const label = schemaCid
+        ? await this.getGroupTitle(schemaCid, node.data)
+        : node.data?.label ?? node.cid;
+      result[label] = this.traverseLinkedData(node.data, propertyGraph.graph, new Set([node.cid]));
     }))
 
     return result
   }
 
-  private async traverseLinkedData(data: any, baseDir: PathLike): Promise<any> {
+  private traverseLinkedData(data: any, graph: Map<string, DataNode>, visiting: Set<string>): any {
+    if (Array.isArray(data)) {
+      return data.map((item) => this.traverseLinkedData(item, graph, visiting));
+    }
     if ((data !== null) && (typeof data === "object") && (Object.hasOwn(data, "/"))) {
-      const contentData = await this.readJSONWithCache(path.join(baseDir.toString(), data["/"].toString()));
-      return this.traverseLinkedData(contentData, baseDir);
+      const linked = this.ipldLoader.resolveLink(data, graph);
+      // Leave dangling or circular links as they are
+      if (!linked || visiting.has(linked.cid)) {
+        return data;
+      }
+      visiting.add(linked.cid);
+      const resolved = this.traverseLinkedData(linked.data, graph, visiting);
+      visiting.delete(linked.cid);
+      return resolved;
     }
-    else if ((data !== null) && (typeof data === "object")) {
+    if ((data !== null) && (typeof data === "object")) {
+      const result: Record<string, any> = {};
       for (const key in data) {
-        data[key] = await this.traverseLinkedData(data[key], baseDir);
+        result[key] = this.traverseLinkedData(data[key], graph, visiting);
       }
-    }
-    else if (Array.isArray(data)) {
-      return Promise.all(data.map((i: any) => { this.traverseLinkedData(i, baseDir) }))
+      return result;
     }
     return data;
   }
 
-  private async readJSONWithCache(path: PathLike): Promise<any> {
-    if (Object.hasOwn(this.fsReadCache, path.toString())) {
-      return this.fsReadCache[path.toString()]
+  private async getGroupTitle(groupCID: CID, groupData: any): Promise<string> {
+    try {
+      const schema = await this.schemaResolver.resolve(groupCID);
+      return schema.title;
+    } catch (error) {
+      // Fall back to the label the data group carries so offline builds still
+      // produce stable keys
+      const fallback = typeof groupData?.label === "string" ? groupData.label : groupCID.toString();
+      this.logger.warn(
+        `Could not resolve schema ${groupCID.toString()} (${(error as Error).message}), using "${fallback}"`,
+      );
+      return fallback;
     }
-    const content = await fs.readFile(path, "utf-8");
-    const data = JSON.parse(content);
-    this.fsReadCache[path.toString()] = data;
-    return data
-  }
-
-  private async getGroupTitle(groupCID: CID): Promise<string> {
-    const content = JSON.parse(await this.fetchIPFSContent(groupCID)) as JsonSchema;
-    return content.title;
-  }
-
-  private async fetchIPFSContent(cid: CID): Promise<any> {
-    return await (await fetch(`https://ipfs.io/ipfs/${cid.toString()}`)).text();
   }
 
   private transformIPLDData(ipldData: PropertyData): TemplateData {
@@ -123,6 +277,10 @@ export class DataLoader {
     const property = ipldData.property || {};
     const sales = ipldData.sales || [];
     const taxes = ipldData.taxes || [];
+    const analytics = new SalesAnalytics(new Date(), this.dates).analyze(
+      sales.map((sale: any) => ({ date: sale.date, price: sale.price })),
+      Number.isFinite(property.sqft) ? property.sqft : null,
+    );
 
     // Create the expected structure
     const transformed: TemplateData = {
@@ -155,15 +313,9 @@ export class DataLoader {
         year_built: property.yearBuilt || 0,
         living_area: property.sqft || 0,
       },
-      lot: {
-        lot_size_sqft:
-          typeof property.lotArea === "string"
-            ? property.lotArea.replace(" sqft", "")
-            : property.lotArea || "",
-        lot_type: property.lotType || "",
-      },
+      lot: ipldData.lot ?? null,
       sales_history: sales.map((sale: any) => ({
-        date: sale.date,
+        date: sale.date ?? "",
         amount: sale.price,
       })),
       all_sales: sales.map((sale: any, _index: number) => ({
@@ -172,27 +324,28 @@ export class DataLoader {
           ownership_transfer_date: sale.date,
           purchase_price_amount: sale.price,
           source_http_request: sale.source_http_request || null,
+          source_cid: sale.source_cid,
+          footnotes: sale.footnotes || [],
         },
-        associatedEntity: sale.owner
-          ? {
-            type: "person" as const,
-            name: sale.owner,
-            data: { person_name: sale.owner },
-          }
-          : null,
+        associatedEntity: sale.grantees[0] ?? null,
+        associatedEntities: sale.grantees,
+        analytics: analytics.sales[_index],
       })),
+      sales_analytics: analytics.summary,
+      room_counts: ipldData.roomCounts,
+      unmapped_values: ipldData.unmappedValues ?? [],
       all_taxes: taxes.map((tax: any) => ({
-        key: `tax_${tax.year}`,
+        key: `tax_${tax.tax_year}`,
         data: {
-          property_assessed_value_amount: tax.value,
-          property_taxable_value_amount: tax.value,
-          tax_year: tax.year,
+          ...tax,
           source_http_request: tax.source_http_request || null,
+          footnotes: tax.footnotes || [],
         },
       })),
       features: ipldData.features || { interior: [], exterior: [] },
       structure: ipldData.structure || null,
       utility: ipldData.utility || null,
+      utilities: ipldData.utilities ?? [],
       appliances: ipldData.appliances,
 
       carousel_images: ipldData.carousel_images || [],
@@ -201,7 +354,16 @@ export class DataLoader {
         source_http_request: ipldData.layouts.source_http_request || null,
       } : [],
       sectionVisibility: ipldData.sectionVisibility,
-      dataLabel: ipldData.dataLabel
+      dataLabel: ipldData.dataLabel,
+      dataLabels: ipldData.dataLabels,
+      merged: ipldData.merged,
+      data_sources: (ipldData.sources || []).map((source) => ({
+        ...source,
+        type: source.groups[0] || "",
+        full_request: `${source.method} ${source.href}`,
+        description: source.groups.join(", "),
+      })),
+      citations: ipldData.citations || {},
     };
 
     return transformed as TemplateData;
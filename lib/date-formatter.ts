@@ -0,0 +1,86 @@
+import { DateTime } from "luxon";
+
+// Named output formats; any other format is read as Luxon tokens
+export const DEFAULT_DATE_FORMATS: Record<string, string> = {
+  // Sep 26, 2005
+  short: "LLL d, yyyy",
+  // September 26, 2005
+  long: "LLLL d, yyyy",
+  // September 2005
+  month: "LLLL yyyy",
+  year: "yyyy",
+  iso: "yyyy-LL-dd",
+};
+
+// County records that are not ISO dates
+const FALLBACK_INPUT_FORMATS = ["M/d/yyyy", "yyyy/M/d"];
+
+export interface DateFormatterOptions {
+  // IANA zone timestamps are shown in; UTC by default
+  zone?: string;
+  // Added to, or replacing, the default named formats
+  formats?: Record<string, string>;
+  // Language of month names; en-US by default
+  locale?: string;
+}
+
+/**
+ * Parses and formats the dates in property data.
+ *
+ * Lexicon dates such as `ownership_transfer_date` are calendar days, not
+ * instants: "2020-01-01" stays 1 January 2020 in every zone, where `new Date`
+ * reads it as UTC midnight and shows it as 31 December 2019 west of
+ * Greenwich. Timestamps with a time of day are moved to the configured zone
+ * before their day is taken.
+ */
+export class DateFormatter {
+  readonly zone: string;
+  readonly locale: string;
+  private formats: Record<string, string>;
+
+  constructor(options: DateFormatterOptions = {}) {
+    this.zone = options.zone ?? "utc";
+    if (!DateTime.now().setZone(this.zone).isValid) {
+      throw new Error(`Unknown time zone: ${this.zone}`);
+    }
+    this.formats = { ...DEFAULT_DATE_FORMATS, ...options.formats };
+    this.locale = options.locale ?? "en-US";
+  }
+
+  parse(value: unknown): DateTime | null {
+    if (value instanceof Date) {
+      const date = DateTime.fromJSDate(value).setZone(this.zone);
+      return date.isValid ? date : null;
+    }
+    if (typeof value !== "string" || value.trim() === "") return null;
+
+    const text = value.trim();
+    const iso = DateTime.fromISO(text, { zone: this.zone });
+    if (iso.isValid) return iso;
+    for (const format of FALLBACK_INPUT_FORMATS) {
+      const date = DateTime.fromFormat(text, format, { zone: this.zone });
+      if (date.isValid) return date;
+    }
+    return null;
+  }
+
+  // The calendar day as YYYY-MM-DD, or null when the value is not a date
+  isoDate(value: unknown): string | null {
+    return this.parse(value)?.toISODate() ?? null;
+  }
+
+  // Values that are not dates are returned as they are
+  format(value: unknown, format: string = "short"): string {
+    if (value === null || value === undefined || value === "") return "";
+    const date = this.parse(value);
+    if (!date) return String(value);
+    return date.toFormat(this.formats[format] ?? format, { locale: this.locale });
+  }
+
+  // UTC midnight of the value's calendar day, for counting days between dates
+  // without daylight saving getting in the way
+  utcDay(value: unknown): number | null {
+    const date = this.parse(value);
+    return date ? Date.UTC(date.year, date.month - 1, date.day) : null;
+  }
+}
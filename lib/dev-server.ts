@@ -287,12 +287,15 @@ export class DevServer {
     const properties = new Set<string>();
     
     for (const file of files) {
-      if (file.includes(this.options.input)) {
+      if (file === this.options.input && file.endsWith('.car')) {
+        // The input is a single .car archive
+        properties.add(path.basename(file, '.car'));
+      } else if (file.includes(this.options.input)) {
         // Extract property ID from path
         const relativePath = path.relative(this.options.input, file);
         const parts = relativePath.split(path.sep);
         if (parts.length > 0 && parts[0]) {
-          properties.add(parts[0]);
+          properties.add(parts[0].endsWith('.car') ? path.basename(parts[0], '.car') : parts[0]);
         }
       }
     }
@@ -303,14 +306,11 @@ export class DevServer {
   private async rebuildProperty(propertyId: string): Promise<void> {
     this.logger.debug(`Rebuilding property: ${propertyId}`);
     
-    // Load the specific property data
-    const dataLoader = (this.builder as any).dataLoader;
-    const properties = await dataLoader.loadPropertyData(this.options.input);
-    
-    if (properties[propertyId]) {
-      await this.builder.buildProperty(propertyId, properties[propertyId]);
-    } else {
-      this.logger.warn(`Property ${propertyId} not found`);
+    // Only the changed property is loaded
+    try {
+      await this.builder.buildPropertyById(propertyId);
+    } catch (error) {
+      this.logger.warn(`Could not rebuild ${propertyId}: ${(error as Error).message}`);
     }
   }
 
@@ -0,0 +1,109 @@
+import {
+  EnumMappingEntry,
+  UnmappedEnumValue,
+} from "../types/property.js";
+import bundledMapping from "./data-mapping.json" with { type: "json" };
+
+export interface EnumInfo {
+  enumDescription: string;
+  iconName: string | null;
+}
+
+export type RenderItem = Record<string, EnumInfo>;
+
+// Class -> property -> value -> how the value is shown
+type EnumMapping = Record<string, Record<string, Record<string, EnumInfo>>>;
+
+/**
+ * Turns lexicon enum values into the descriptions and icons the templates
+ * show.
+ *
+ * Project entries are layered over the bundled mapping: an entry for a value
+ * the bundled file already has replaces the fields it gives, anything else is
+ * added, including whole new classes. An entry without an `iconName` keeps
+ * the value's icon, or takes the icon of its property's other values.
+ */
+export class EnumMapper {
+  private mapping: EnumMapping = {};
+  // Properties whose values are enums: every mapped property
+  private enumProperties = new Map<string, Set<string>>();
+
+  constructor(overrides: EnumMappingEntry[] = []) {
+    for (const entry of bundledMapping as EnumMappingEntry[]) {
+      this.add(entry);
+    }
+    for (const [i, entry] of overrides.entries()) {
+      if (!entry.lexiconClass || !entry.lexiconProperty) {
+        throw new Error(
+          `Enum mapping entry ${i}: "lexiconClass" and "lexiconProperty" are required`,
+        );
+      }
+      this.add(entry);
+    }
+  }
+
+  // The mapped values of an item; values without a mapping are left out
+  render(item: object, lexiconClass: string): RenderItem {
+    const renderItem: RenderItem = {};
+    const classMapping = this.mapping[lexiconClass] ?? {};
+    for (const [key, value] of Object.entries(item)) {
+      const valueMapping = classMapping[key]?.[value];
+      if (valueMapping) renderItem[key] = valueMapping;
+    }
+    return renderItem;
+  }
+
+  // Enum values of an item that have no mapping; booleans are not enums
+  unmapped(
+    item: object | null | undefined,
+    lexiconClass: string,
+  ): UnmappedEnumValue[] {
+    const properties = this.enumProperties.get(lexiconClass);
+    if (!item || !properties) return [];
+
+    const values: UnmappedEnumValue[] = [];
+    for (const [key, value] of Object.entries(item)) {
+      if (!properties.has(key) || value === "") continue;
+      if (typeof value !== "string" && typeof value !== "number") continue;
+      if (this.mapping[lexiconClass]?.[key]?.[value]) continue;
+      values.push({
+        lexiconClass,
+        lexiconProperty: key,
+        value: String(value),
+      });
+    }
+    return values;
+  }
+
+  private add(entry: EnumMappingEntry): void {
+    const { lexiconClass, lexiconProperty } = entry;
+    this.addEnumProperty(lexiconClass, lexiconProperty);
+    const values = ((this.mapping[lexiconClass] ??= {})[lexiconProperty] ??=
+      {});
+    const value = String(entry.enumValue);
+    const existing = values[value];
+
+    let iconName: string | null;
+    if (entry.iconName !== undefined) {
+      iconName = entry.iconName ? `type=${entry.iconName}.svg` : null;
+    } else if (existing) {
+      iconName = existing.iconName;
+    } else {
+      iconName =
+        Object.values(values).find((info) => info.iconName)?.iconName ?? null;
+    }
+
+    values[value] = {
+      enumDescription:
+        entry.enumDescription ?? existing?.enumDescription ?? value,
+      iconName,
+    };
+  }
+
+  private addEnumProperty(lexiconClass: string, property: string): void {
+    if (!this.enumProperties.has(lexiconClass)) {
+      this.enumProperties.set(lexiconClass, new Set());
+    }
+    this.enumProperties.get(lexiconClass)!.add(property);
+  }
+}
@@ -0,0 +1,228 @@
+import path from "path";
+import {
+  DataNode,
+  IPLDDataLoader,
+  PropertyGraph,
+} from "./ipld-data-loader.js";
+
+export const GRAPH_FORMATS = ["dot", "mermaid", "json"] as const;
+export type GraphFormat = (typeof GRAPH_FORMATS)[number];
+
+export interface GraphNode {
+  // The node's CID; for missing nodes, the CID or file name linked to
+  id: string;
+  type: "data_group" | "relationship" | "entity" | "missing";
+  // Classes the node is linked as; empty when no relationship reaches it
+  lexiconClasses: string[];
+  label: string;
+  // Relative to the property's directory; null for CAR blocks and missing
+  // nodes
+  file: string | null;
+}
+
+export interface GraphEdge {
+  from: string;
+  to: string;
+  // Where the link sits in the source node, as "property_has_tax[0]" or "to"
+  key: string;
+  // The target is not part of the property's input
+  dangling: boolean;
+}
+
+export interface PropertyGraphExport {
+  propertyId: string;
+  source: string;
+  nodes: GraphNode[];
+  edges: GraphEdge[];
+  dangling: GraphEdge[];
+}
+
+/**
+ * Exports a property's IPLD graph: every node with the lexicon class it is
+ * linked as, and every link between nodes. Links whose target is not in the
+ * input are kept as dangling edges to a missing node, where the data loader
+ * would silently drop them.
+ */
+export class GraphExporter {
+  private ipldLoader: IPLDDataLoader;
+
+  constructor(ipldLoader: IPLDDataLoader) {
+    this.ipldLoader = ipldLoader;
+  }
+
+  export(propertyId: string, propertyGraph: PropertyGraph): PropertyGraphExport {
+    const { source, graph, dataGroups } = propertyGraph;
+    const groups = new Set(dataGroups.map(({ node }) => node.cid));
+
+    const classes = new Map<string, string[]>();
+    for (const { lexiconClass, node } of this.ipldLoader.classifyNodes(
+      propertyGraph,
+    )) {
+      const nodeClasses = classes.get(node.cid) ?? [];
+      if (!nodeClasses.includes(lexiconClass)) nodeClasses.push(lexiconClass);
+      classes.set(node.cid, nodeClasses);
+    }
+
+    // Relationship files, by the key their data group lists them under
+    const relationshipKeys = new Map<string, string>();
+    for (const { node } of dataGroups) {
+      for (const link of this.ipldLoader.nodeLinks(node, graph)) {
+        const match = link.key.match(/^relationships\.([^.[]+)/);
+        if (match && link.node) relationshipKeys.set(link.node.cid, match[1]);
+      }
+    }
+
+    const nodes = new Map<string, GraphNode>();
+    for (const node of graph.values()) {
+      const relationshipKey = relationshipKeys.get(node.cid);
+      const lexiconClasses = classes.get(node.cid) ?? [];
+      nodes.set(node.cid, {
+        id: node.cid,
+        type: groups.has(node.cid)
+          ? "data_group"
+          : relationshipKey
+            ? "relationship"
+            : "entity",
+        lexiconClasses,
+        label: groups.has(node.cid)
+          ? String(node.data?.label ?? "data group")
+          : (relationshipKey ??
+            (lexiconClasses.length > 0
+              ? lexiconClasses.join(" / ")
+              : "unclassified")),
+        file: this.relativeFile(source, node),
+      });
+    }
+
+    const edges: GraphEdge[] = [];
+    for (const node of graph.values()) {
+      for (const link of this.ipldLoader.nodeLinks(node, graph)) {
+        const to = link.node?.cid ?? link.target;
+        if (!link.node && !nodes.has(to)) {
+          nodes.set(to, {
+            id: to,
+            type: "missing",
+            lexiconClasses: [],
+            label: "missing",
+            file: null,
+          });
+        }
+        edges.push({
+          from: node.cid,
+          to,
+          key: link.key.replace(/^relationships\./, ""),
+          dangling: !link.node,
+        });
+      }
+    }
+
+    return {
+      propertyId,
+      source,
+      nodes: [...nodes.values()],
+      edges,
+      dangling: edges.filter((edge) => edge.dangling),
+    };
+  }
+
+  static format(graph: PropertyGraphExport, format: GraphFormat): string {
+    switch (format) {
+      case "dot":
+        return GraphExporter.toDot(graph);
+      case "mermaid":
+        return GraphExporter.toMermaid(graph);
+      case "json":
+        return JSON.stringify(graph, null, 2) + "\n";
+    }
+  }
+
+  static toDot(graph: PropertyGraphExport): string {
+    const quote = (value: string) =>
+      `"${value
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, "\\n")}"`;
+    const shapes: Record<GraphNode["type"], string> = {
+      data_group: "folder",
+      relationship: "ellipse",
+      entity: "box",
+      missing: "box",
+    };
+
+    const lines = [
+      `digraph ${quote(graph.propertyId)} {`,
+      "  rankdir=LR;",
+      "  node [fontname=Helvetica];",
+      "  edge [fontname=Helvetica, fontsize=10];",
+    ];
+    for (const node of graph.nodes) {
+      const attributes = [
+        `label=${quote(GraphExporter.nodeLabel(node).join("\n"))}`,
+        `shape=${shapes[node.type]}`,
+      ];
+      if (node.type === "missing") {
+        attributes.push("color=red", "fontcolor=red", "style=dashed");
+      }
+      lines.push(`  ${quote(node.id)} [${attributes.join(", ")}];`);
+    }
+    for (const edge of graph.edges) {
+      const attributes = [`label=${quote(edge.key)}`];
+      if (edge.dangling) {
+        attributes.push("color=red", "fontcolor=red", "style=dashed");
+      }
+      lines.push(
+        `  ${quote(edge.from)} -> ${quote(edge.to)} [${attributes.join(", ")}];`,
+      );
+    }
+    lines.push("}");
+    return lines.join("\n") + "\n";
+  }
+
+  static toMermaid(graph: PropertyGraphExport): string {
+    // CIDs and file names are not valid Mermaid ids
+    const ids = new Map(graph.nodes.map((node, i) => [node.id, `n${i}`]));
+    const text = (value: string) => value.replace(/"/g, "#quot;");
+    const shapes: Record<GraphNode["type"], [string, string]> = {
+      data_group: ["[/", "/]"],
+      relationship: ["([", "])"],
+      entity: ["[", "]"],
+      missing: ["[", "]"],
+    };
+
+    const lines = ["flowchart LR"];
+    for (const node of graph.nodes) {
+      const [open, close] = shapes[node.type];
+      const label = GraphExporter.nodeLabel(node).map(text).join("<br/>");
+      lines.push(`  ${ids.get(node.id)}${open}"${label}"${close}`);
+    }
+    for (const edge of graph.edges) {
+      const arrow = edge.dangling ? "-.->" : "-->";
+      lines.push(
+        `  ${ids.get(edge.from)} ${arrow}|"${text(edge.key)}"| ${ids.get(edge.to)}`,
+      );
+    }
+
+    const missing = graph.nodes.filter((node) => node.type === "missing");
+    if (missing.length > 0) {
+      lines.push("  classDef missing stroke:#d00,color:#d00,stroke-dasharray:4");
+      lines.push(
+        `  class ${missing.map((node) => ids.get(node.id)).join(",")} missing`,
+      );
+    }
+    const dangling = graph.edges.flatMap((edge, i) => (edge.dangling ? [i] : []));
+    if (dangling.length > 0) {
+      lines.push(`  linkStyle ${dangling.join(",")} stroke:#d00,color:#d00`);
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  private static nodeLabel(node: GraphNode): string[] {
+    return [node.label, node.file ?? node.id];
+  }
+
+  private relativeFile(source: string, node: DataNode): string | null {
+    return source.endsWith(".car")
+      ? null
+      : path.relative(source, node.filePath);
+  }
+}
@@ -1,20 +1,86 @@
 import * as fs from "fs/promises";
 import * as path from "path";
 import { existsSync } from "fs";
-import enumMappingRaw from "./data-mapping.json" with { type: "json" };
+import { CID } from "multiformats/cid";
+import { CarLoader } from "./car-loader.js";
+import { Logger } from "./logger.js";
+import {
+  DataGroupMerger,
+  GroupContribution,
+  MergeRules,
+  MergedEntitySummary,
+  MergedNode,
+} from "./data-group-merger.js";
+import { SourceCitation, SourceCitations } from "./source-citations.js";
+import { NameParser } from "./name-parser.js";
+import { DateFormatter } from "./date-formatter.js";
+import { RoomClassifier } from "./room-classifier.js";
+import { EnumInfo, EnumMapper, RenderItem } from "./enum-mapper.js";
+import {
+  AssociatedEntity,
+  EnumMappingEntry,
+  RoomReconciliation,
+  RoomRulesOptions,
+  TaxAuthority,
+  TaxExemption,
+  UnmappedEnumValue,
+} from "../types/property.js";
 import sectionVisibilityRaw from "./section-visibility.json" with { type: "json" };
+import utilitySystemsRaw from "./utility-systems.json" with { type: "json" };
 
 interface IPLDLink {
   "/": string;
 }
 
-interface DataNode {
+export interface DataNode {
   cid: string;
   filePath: string;
   data: any;
   relationships: Map<string, DataNode>;
 }
 
+export interface DataGroupRoot {
+  node: DataNode;
+  // Directory inputs name each data-group file after its schema CID; CAR
+  // inputs only carry the data group itself as a root
+  schemaCid: CID | null;
+}
+
+export interface PropertyGraph {
+  source: string;
+  graph: Map<string, DataNode>;
+  dataGroups: DataGroupRoot[];
+}
+
+export interface NodeLink {
+  key: string;
+  // CID (or file name) the link points at
+  target: string;
+  // Missing when the target is not part of the graph
+  node?: DataNode;
+}
+
+export interface LexiconNode {
+  lexiconClass: string;
+  node: DataNode;
+  // Where the class schema is listed: the data group's schema, the
+  // relationship and the side of it the node is on
+  schemaCid: CID | null;
+  relationship: string;
+  side: "from" | "to";
+}
+
+export interface RelationshipEdge {
+  key: string;
+  // The data-group node that lists the relationship, and its schema
+  group: DataNode;
+  schemaCid: CID | null;
+  fromClass: string;
+  toClass: string;
+  from?: DataNode;
+  to?: DataNode;
+}
+
 interface PropertyInfo {
   address: string;
   city: string;
@@ -29,21 +95,36 @@ interface PropertyInfo {
   type: string;
   yearBuilt: number;
   legalDescription: string;
-  lotArea: string;
-  lotType: string;
   sourceUrl: string;
   source_http_request?: any;
 }
 
 interface SaleInfo {
-  date: string;
+  // YYYY-MM-DD; null when the record has no readable date
+  date: string | null;
   price: number;
-  owner: string;
+  grantees: AssociatedEntity[];
+  source_http_request?: any;
+  source_cid?: string;
+  footnotes?: number[];
 }
 
 interface TaxInfo {
-  year: number;
-  value: number;
+  tax_year: number;
+  property_assessed_value_amount: number | null;
+  property_market_value_amount: number | null;
+  property_building_amount: number | null;
+  property_land_amount: number | null;
+  property_taxable_value_amount: number | null;
+  monthly_tax_amount: number | null;
+  yearly_tax_amount: number | null;
+  period_start_date: string | null;
+  period_end_date: string | null;
+  authorities: TaxAuthority[];
+  exemptions: TaxExemption[];
+  source_http_request?: any;
+  source_cid?: string;
+  footnotes?: number[];
 }
 
 interface PropertyFeatures {
@@ -60,7 +141,7 @@ interface CarouselImage {
 
 interface LayoutInfo {
   space_type: string;
-  floor_level: string | number;
+  floor_level: string | number | null;
   flooring_material_type?: string;
   size_square_feet?: number;
   has_windows?: boolean;
@@ -92,13 +173,75 @@ interface LayoutInfo {
   pool_water_quality?: string;
 }
 
+export interface RoomPhoto {
+  ipfs_url: string;
+  name: string;
+  // Position of the photo in carousel_images
+  carouselIndex: number;
+}
+
+export interface LayoutGroup {
+  // The floor_level the rooms share; null for rooms without one and for the
+  // exterior. Templates build the heading from it
+  floorLevel: string | number | null;
+  exterior: boolean;
+  rooms: RenderItem[];
+  // Photos linked to each room, in the order of rooms
+  photos: RoomPhoto[][];
+  roomCount: number;
+  // Total size_square_feet of the rooms that have one; null when none do
+  squareFeet: number | null;
+}
+
 export interface LayoutSummary {
-  firstFloorLayouts: RenderItem[];
-  secondFloorLayouts: RenderItem[];
-  otherLayouts: RenderItem[];
+  // Interior rooms by floor, lowest floor first
+  floors: LayoutGroup[];
+  // Rooms marked is_exterior, whatever their floor
+  exterior: LayoutGroup | null;
   source_http_request?: any;
 }
 
+export interface LotSummary {
+  // Mapped lot_type, landscaping, view, fencing and driveway values
+  features: RenderItem;
+  // Given in square feet or acres, each converted to the other
+  areaSqft: number | null;
+  acres: number | null;
+  widthFeet: number | null;
+  lengthFeet: number | null;
+  source_http_request?: any;
+}
+
+// How the utility record's fields are grouped into systems
+interface UtilitySystemRule {
+  key: string;
+  label: string;
+  // Shown when none of the system's values has an icon
+  icon: string;
+  // Enum fields saying what the system is
+  types?: string[];
+  // public_utility_type values meaning the public service is available
+  publicUtilities?: string[];
+  condition?: string;
+  issues?: string;
+  // Date fields, first one recorded wins
+  installed?: string[];
+  // Other fields shown as they are, by their label
+  details?: Record<string, string>;
+}
+
+export interface UtilitySystem {
+  key: string;
+  label: string;
+  iconName: string;
+  types: EnumInfo[];
+  condition: EnumInfo | null;
+  issues: EnumInfo | null;
+  installedYear: number | null;
+  // Raw values; true for flags that are set
+  details: { field: string; label: string; value: string | number | true }[];
+}
+
 interface SectionVisibility {
   label_to_div_mapping: Record<string, string[]>;
 }
@@ -111,31 +254,66 @@ export interface PropertyData {
   features: PropertyFeatures | null;
   structure?: any;
   utility?: any;
+  // Utility values grouped by system, only systems the record describes
+  utilities?: UtilitySystem[];
 
   providers?: any[];
   carousel_images?: CarouselImage[];
   layouts?: LayoutSummary;
+  lot?: LotSummary | null;
   sectionVisibility?: SectionVisibility;
   dataLabel?: string;
+  dataLabels?: string[];
   appliances: RenderItem[] | null;
+  // Bedroom and bathroom counts of the layouts and the structure, reconciled
+  roomCounts?: RoomReconciliation;
+  // Enum values of the property's entities that the mapping does not cover
+  unmappedValues?: UnmappedEnumValue[];
+  merged?: MergeSummary;
+  // Numbered source requests, and the footnotes of each section
+  sources?: SourceCitation[];
+  citations?: Record<string, number[]>;
 }
 
-type EnumMappingRaw = {
-  lexiconClass: string;
-  lexiconProperty: string;
-  iconName: string;
-  enumValue: string;
-  enumDescription: string;
-};
+export interface MergeSummary {
+  // Data-group labels of the property, highest precedence first
+  groups: string[];
+  entities: Record<
+    string,
+    MergedEntitySummary | MergedEntitySummary[] | undefined
+  >;
+}
 
-interface EnumInfo {
-  enumDescription: string;
-  iconName: string | null;
+export interface IPLDDataLoaderOptions {
+  mergeRules?: Partial<MergeRules>;
+  // Receives debug output about how nodes were picked
+  logger?: Logger;
+  dates?: DateFormatter;
+  roomRules?: RoomRulesOptions;
+  // Layered over the bundled enum mapping
+  enumMapping?: EnumMappingEntry[];
 }
 
-type RenderItem = Record<string, EnumInfo>;
-type LexiconPropertyMapping = Record<string, RenderItem>;
-type EnumMapping = Record<string, LexiconPropertyMapping>;
+// Group name for nodes found by field sniffing rather than through a data group
+const UNLISTED_GROUP = "Unlisted";
+
+const SQFT_PER_ACRE = 43560;
+
+// Ordinal words in floor names, as in "Third Floor"
+const FLOOR_ORDINALS = [
+  "first",
+  "second",
+  "third",
+  "fourth",
+  "fifth",
+  "sixth",
+  "seventh",
+  "eighth",
+  "ninth",
+  "tenth",
+];
+
+const DATA_LABEL_PRIORITY = ["Photo Metadata", "Photo", "County", "Seed"];
 
 const EXTERIOR_FEATURE_KEYS: Set<string> = new Set([
   "exterior_wall_material_primary",
@@ -173,50 +351,201 @@ const INTERIOR_FEATURE_KEYS: Set<string> = new Set([
 export class IPLDDataLoader {
   private cache: Map<string, DataNode> = new Map();
   private dataDir: string;
-  private enumMapping: EnumMapping;
+  private enumMapper: EnumMapper;
   private sectionVisibility: SectionVisibility;
+  private merger: DataGroupMerger;
+  private nameParser = new NameParser();
+  private dates: DateFormatter;
+  private roomClassifier: RoomClassifier;
+  private logger: Logger | null;
 
-  constructor(dataDir: string) {
+  constructor(dataDir: string, options: IPLDDataLoaderOptions = {}) {
     this.dataDir = dataDir;
-    this.enumMapping = this.parseEnumMapping(
-      enumMappingRaw as EnumMappingRaw[],
-    );
+    this.logger = options.logger ?? null;
+    this.dates = options.dates ?? new DateFormatter();
+    this.roomClassifier = new RoomClassifier(options.roomRules);
+    this.merger = new DataGroupMerger(options.mergeRules);
+    this.enumMapper = new EnumMapper(options.enumMapping);
     this.sectionVisibility = sectionVisibilityRaw as SectionVisibility;
   }
 
   async loadPropertyData(rootCID: string): Promise<PropertyData> {
-    // 1. Load the root directory
+    const propertyGraph = await this.loadGraph(rootCID);
+    return this.transformGraph(propertyGraph);
+  }
+
+  async loadGraph(rootCID: string): Promise<PropertyGraph> {
+    // 1. Read a .car archive if the property was packed as one
+    const carPath = this.findCarFile(rootCID);
+    if (carPath) {
+      return this.buildGraphFromCar(carPath);
+    }
+
+    // 2. Otherwise load the root directory
     const rootDir = path.join(this.dataDir, rootCID);
     if (!existsSync(rootDir)) {
       throw new Error(`Root directory not found: ${rootDir}`);
     }
 
-    // 2. Build the complete graph
+    // 3. Build the complete graph
     const graph = await this.buildGraph(rootDir);
+    const dataGroups: DataGroupRoot[] = [];
+    for (const node of graph.values()) {
+      try {
+        dataGroups.push({ node, schemaCid: CID.parse(node.cid) });
+      } catch {
+        // Not a data-group root
+      }
+    }
+
+    return { source: rootDir, graph, dataGroups };
+  }
 
-    // 3. Transform graph into PropertyData structure
-    return this.transformToPropertyData(graph, rootDir);
+  async transformGraph(propertyGraph: PropertyGraph): Promise<PropertyData> {
+    return this.transformToPropertyData(propertyGraph);
   }
 
-  private parseEnumMapping(mappingRaw: EnumMappingRaw[]): EnumMapping {
-    const result: EnumMapping = {};
+  // Drops the graph's files from the node cache once the property is done
+  releaseGraph(propertyGraph: PropertyGraph): void {
+    for (const node of propertyGraph.graph.values()) {
+      this.cache.delete(node.filePath);
+    }
+  }
 
-    for (const item of mappingRaw) {
-      if (!result[item.lexiconClass]) {
-        result[item.lexiconClass] = {};
+  resolveLink(
+    link: any,
+    graph: Map<string, DataNode>,
+  ): DataNode | undefined {
+    return this.resolveNodeFromLink(link, graph);
+  }
+
+  // Every link in a node's data, by its path in the data (as
+  // `relationships.property_has_tax[0]`), including links whose target is not
+  // in the graph
+  nodeLinks(node: DataNode, graph: Map<string, DataNode>): NodeLink[] {
+    const links: NodeLink[] = [];
+    const visit = (value: any, key: string) => {
+      if (this.isIPLDLink(value)) {
+        const target = String(value["/"]);
+        links.push({
+          key,
+          target: target.startsWith("./")
+            ? path.basename(target, ".json")
+            : target,
+          node: this.resolveNodeFromLink(value, graph),
+        });
+      } else if (Array.isArray(value)) {
+        value.forEach((item, i) => visit(item, `${key}[${i}]`));
+      } else if (value && typeof value === "object") {
+        for (const [k, v] of Object.entries(value)) {
+          visit(v, key ? `${key}.${k}` : k);
+        }
       }
+    };
+    visit(node.data, "");
+    return links;
+  }
 
-      if (!result[item.lexiconClass][item.lexiconProperty]) {
-        result[item.lexiconClass][item.lexiconProperty] = {};
+  // Relationship keys are named `<from class>_has_<to class>`, so the lexicon
+  // class of both ends of every relationship follows from the key it is
+  // listed under in its data group
+  relationshipEdges(propertyGraph: PropertyGraph): RelationshipEdge[] {
+    const edges: RelationshipEdge[] = [];
+    const { graph } = propertyGraph;
+
+    for (const { node: groupNode, schemaCid } of propertyGraph.dataGroups) {
+      const relationships = groupNode.data?.relationships;
+      if (!relationships || typeof relationships !== "object") continue;
+
+      for (const [key, value] of Object.entries(relationships)) {
+        const classes = this.relationshipClasses(key);
+        if (!classes) continue;
+
+        const links = Array.isArray(value) ? value : [value];
+        for (const link of links) {
+          const relationship = this.resolveNodeFromLink(link, graph);
+          if (!relationship) continue;
+
+          edges.push({
+            key,
+            group: groupNode,
+            schemaCid,
+            fromClass: classes[0],
+            toClass: classes[1],
+            from: this.resolveNodeFromLink(relationship.data?.from, graph),
+            to: this.resolveNodeFromLink(relationship.data?.to, graph),
+          });
+        }
       }
+    }
 
-      result[item.lexiconClass][item.lexiconProperty][item.enumValue] = {
-        enumDescription: item.enumDescription,
-        iconName: `type=${item.iconName}.svg`,
-      };
+    return edges;
+  }
+
+  classifyNodes(propertyGraph: PropertyGraph): LexiconNode[] {
+    const classified = new Map<string, LexiconNode>();
+
+    for (const edge of this.relationshipEdges(propertyGraph)) {
+      const ends: ["from" | "to", string, DataNode | undefined][] = [
+        ["from", edge.fromClass, edge.from],
+        ["to", edge.toClass, edge.to],
+      ];
+      for (const [side, lexiconClass, node] of ends) {
+        const key = `${lexiconClass}:${node?.filePath}`;
+        if (!node || classified.has(key)) continue;
+        classified.set(key, {
+          lexiconClass,
+          node,
+          schemaCid: edge.schemaCid,
+          relationship: edge.key,
+          side,
+        });
+      }
+    }
+
+    return [...classified.values()];
+  }
+
+  sourcePath(rootCID: string): string {
+    return this.findCarFile(rootCID) ?? path.join(this.dataDir, rootCID);
+  }
+
+  private relationshipClasses(key: string): [string, string] | null {
+    // Seed data groups link the seed record to its unnormalized address
+    if (key === "property_seed") {
+      return ["property_seed", "address"];
+    }
+    const match = key.match(/^(.+)_has_(.+)$/);
+    if (!match) return null;
+    const normalize = (name: string) =>
+      name === "sales_history" ? "sales" : name;
+    return [normalize(match[1]), normalize(match[2])];
+  }
+
+  private findCarFile(rootCID: string): string | null {
+    if (this.dataDir.endsWith(".car")) {
+      return path.basename(this.dataDir, ".car") === rootCID
+        ? this.dataDir
+        : null;
+    }
+    const carPath = path.join(this.dataDir, `${rootCID}.car`);
+    return existsSync(carPath) ? carPath : null;
+  }
+
+  private async buildGraphFromCar(carPath: string): Promise<PropertyGraph> {
+    const { roots, nodes } = await new CarLoader().load(carPath);
+
+    // Blocks link to each other by CID, so the graph is keyed by CID as well
+    for (const node of nodes.values()) {
+      await this.resolveIPLDLinks(node, nodes, carPath);
     }
 
-    return result;
+    const dataGroups: DataGroupRoot[] = roots
+      .map((root) => nodes.get(root))
+      .filter((node): node is DataNode => node !== undefined)
+      .map((node) => ({ node, schemaCid: null }));
+
+    return { source: carPath, graph: nodes, dataGroups };
   }
 
   private async buildGraph(rootDir: string): Promise<Map<string, DataNode>> {
@@ -248,9 +577,9 @@ export class IPLDDataLoader {
   }
 
   private async loadNode(filePath: string, cid: string): Promise<DataNode> {
-    // Check cache first
-    if (this.cache.has(cid)) {
-      return this.cache.get(cid)!;
+    // Check cache first (keyed by path, file names repeat across properties)
+    if (this.cache.has(filePath)) {
+      return this.cache.get(filePath)!;
     }
 
     // Load file
@@ -266,7 +595,7 @@ export class IPLDDataLoader {
     };
 
     // Cache it
-    this.cache.set(cid, node);
+    this.cache.set(filePath, node);
 
     return node;
   }
@@ -326,47 +655,132 @@ export class IPLDDataLoader {
   }
 
   private async transformToPropertyData(
-    graph: Map<string, DataNode>,
-    rootDir: string,
+    propertyGraph: PropertyGraph,
   ): Promise<PropertyData> {
-    // Find core entities
-    const propertyNode =
-      this.findNodeByContent(graph, "parcel_identifier") ||
-      this.findNodeByContent(graph, "parcel_id");
-    const addressNode = this.findNodeByContent(graph, "street_name");
-    const salesNodes = this.findNodesByContent(graph, "purchase_price_amount");
-    const taxNodes = this.findNodesByContent(graph, "tax_year");
-    // const personNodes = this.findNodesByContent(graph, 'person_name');
-    const lotNode = this.findNodeByContent(graph, "lot_size_sqft");
-    const structureNode = this.findStructureNode(graph);
-    const utilityNode = this.findNodeByContent(graph, "cooling_system_type");
-    const unnormalizedAddressNode = this.findNodeByContent(
+    const { graph, source: rootDir } = propertyGraph;
+    const edges = this.relationshipEdges(propertyGraph);
+    const roles = this.groupByRole(edges);
+
+    // Find core entities by the role they play in the data groups and merge
+    // what each group knows about them. Field sniffing is only a fallback, and
+    // only over nodes no data group lists, so a node that plays one role is
+    // never mistaken for another.
+    const unlisted = this.unlistedNodes(graph, roles);
+    const propertyNode = this.mergeRole(
+      roles,
+      ["property", "property_seed"],
+      () =>
+        this.findNodeByContent(unlisted, "parcel_identifier") ||
+        this.findNodeByContent(unlisted, "parcel_id"),
+    );
+    // Normalized and unnormalized addresses merge into one address node
+    const addressNode = this.mergeRole(
+      roles,
+      ["address"],
+      () =>
+        this.findNodeByContent(unlisted, "street_name") ||
+        this.findNodeByContent(unlisted, "full_address"),
+    );
+    // The seed links the address as the county gave it; without a seed, it is
+    // an address with a full_address but no street parts
+    const unnormalizedAddressNode =
+      edges.find((edge) => edge.key === "property_seed" && edge.to)?.to ??
+      [
+        ...(roles.get("address") ?? []).map(({ node }) => node),
+        ...unlisted.values(),
+      ].find(
+        (node) => node.data?.full_address && !("street_name" in node.data),
+      );
+    const salesNodes = this.mergeRoleCollection(
+      roles,
+      "sales",
+      this.findNodesByContent(unlisted, "purchase_price_amount"),
+      (data) => data?.ownership_transfer_date,
+    );
+    const taxNodes = this.mergeRoleCollection(
+      roles,
+      "tax",
+      this.findNodesByContent(unlisted, "tax_year"),
+      (data) => data?.tax_year?.toString(),
+    );
+    const lotNode = this.mergeRole(roles, ["lot"], () =>
+      this.findNodeByContent(unlisted, "lot_area_sqft"),
+    );
+    const structureNode = this.mergeRole(roles, ["structure"], () =>
+      this.findStructureNode(unlisted),
+    );
+    const utilityNode = this.mergeRole(roles, ["utility"], () =>
+      this.findNodeByContent(unlisted, "cooling_system_type"),
+    );
+    const applianceNodes = this.mergeRoleCollection(
+      roles,
+      "appliance",
+      this.findNodesByContent(unlisted, "appliance_type"),
+      (data) => data?.appliance_type,
+    );
+    const layoutNodes = this.mergeRoleCollection(
+      roles,
+      "layout",
+      [],
+      (data) => data?.space_type,
+    );
+
+    // Number the sources in the order the page shows their sections
+    const sources = new SourceCitations();
+    const citations: Record<string, number[]> = {
+      address: sources.citeNode(addressNode),
+      property: sources.citeNode(propertyNode),
+      sales: sources.citeNodes(salesNodes),
+      tax: sources.citeNodes(taxNodes),
+      layout: sources.citeNodes(layoutNodes),
+      structure: sources.citeNode(structureNode),
+      utility: sources.citeNode(utilityNode),
+      appliance: sources.citeNodes(applianceNodes),
+      lot: sources.citeNode(lotNode),
+    };
+    // Property Features shows structure and appliance values
+    citations.features = SourceCitations.union(
+      citations.structure,
+      citations.appliance,
+    );
+
+    const roomPhotos = this.layoutPhotos(layoutNodes, edges);
+    const carousel_images = await this.loadCarouselImages(
+      rootDir,
       graph,
-      "full_address",
+      [...roomPhotos.values()].flat(),
+    );
+    const layouts = this.loadLayoutData(
+      layoutNodes,
+      roomPhotos,
+      carousel_images,
     );
-    const applianceNodes = this.findNodesByContent(graph, "appliance_type");
 
-    const layouts = this.loadLayoutData(graph);
+    const roomCounts = this.roomClassifier.reconcile(
+      this.roomClassifier.countLayouts(
+        layoutNodes
+          .map((node) => node.data?.space_type)
+          .filter((spaceType): spaceType is string => !!spaceType),
+      ),
+      this.roomClassifier.countStructure(structureNode?.data ?? null),
+    );
 
     const property = this.extractPropertyInfo(
       propertyNode,
       addressNode,
-      lotNode,
-      structureNode,
-      layouts,
+      roomCounts,
       unnormalizedAddressNode,
     );
 
-    const sales = this.extractSalesHistory(salesNodes, graph);
+    const sales = this.extractSalesHistory(salesNodes, graph, edges);
 
-    const taxes = this.extractTaxHistory(taxNodes);
+    const taxes = this.extractTaxHistory(taxNodes, edges);
 
     let features = null;
     if (structureNode) {
       features = this.extractFeatures(structureNode);
     }
 
-    const carousel_images = await this.loadCarouselImages(rootDir, graph);
     let utility = null;
     if (utilityNode) {
       utility = this.convertNodeToRenderItem(utilityNode, "utility");
@@ -381,8 +795,11 @@ export class IPLDDataLoader {
         );
     }
 
-    // Determine the data label based on available data
-    const dataLabel = this.determineDataLabel(graph, carousel_images);
+    // Every data group contributes; the first label is the most specific
+    const dataLabels = this.determineDataLabels(
+      propertyGraph,
+      carousel_images,
+    );
 
     // Create address data with source information
     const addressData = {
@@ -400,18 +817,6 @@ export class IPLDDataLoader {
       source_http_request: addressNode?.data?.source_http_request || null,
     };
 
-    // Create sales data with source information
-    const salesData = sales.map((sale, index) => ({
-      ...sale,
-      source_http_request: salesNodes[index]?.data?.source_http_request || null,
-    }));
-
-    // Create tax data with source information
-    const taxData = taxes.map((tax, index) => ({
-      ...tax,
-      source_http_request: taxNodes[index]?.data?.source_http_request || null,
-    }));
-
     // Create layout data with source information
     const layoutData = layouts
       ? {
@@ -423,19 +828,129 @@ export class IPLDDataLoader {
     return {
       property,
       address: addressData,
-      sales: salesData,
-      taxes: taxData,
+      sales,
+      taxes,
       features,
       structure: structureNode?.data || null,
       utility,
+      utilities: this.extractUtilities(utilityNode),
       carousel_images,
       layouts: layoutData,
+      lot: this.extractLot(lotNode),
       sectionVisibility: this.sectionVisibility,
-      dataLabel,
+      dataLabel: dataLabels[0],
+      dataLabels,
       appliances,
+      roomCounts,
+      unmappedValues: this.unmappedValues([
+        ["address", [addressNode]],
+        ["lot", [lotNode]],
+        ["structure", [structureNode]],
+        ["utility", [utilityNode]],
+        ["appliance", applianceNodes],
+        ["layout", layoutNodes],
+      ]),
+      merged: {
+        groups: this.merger.sortGroups(
+          propertyGraph.dataGroups.map(({ node }) => this.groupLabel(node)),
+        ),
+        entities: {
+          property: propertyNode && this.merger.summarize(propertyNode),
+          address: addressNode && this.merger.summarize(addressNode),
+          lot: lotNode && this.merger.summarize(lotNode),
+          structure: structureNode && this.merger.summarize(structureNode),
+          utility: utilityNode && this.merger.summarize(utilityNode),
+          sales: salesNodes.map((node) => this.merger.summarize(node)),
+          tax: taxNodes.map((node) => this.merger.summarize(node)),
+          appliance: applianceNodes.map((node) => this.merger.summarize(node)),
+          layout: layoutNodes.map((node) => this.merger.summarize(node)),
+        },
+      },
+      sources: sources.list(),
+      citations,
     };
   }
 
+  // Nodes in the order their data groups list them, by lexicon class. The
+  // target of every listed relationship counts, even when two links point at
+  // the same node: identical rooms in a CAR share one block. Sources only
+  // count once per group, as they are listed once per relationship.
+  private groupByRole(
+    edges: RelationshipEdge[],
+  ): Map<string, GroupContribution[]> {
+    const roles = new Map<string, GroupContribution[]>();
+    const add = (lexiconClass: string, contribution: GroupContribution) => {
+      roles.set(lexiconClass, [
+        ...(roles.get(lexiconClass) ?? []),
+        contribution,
+      ]);
+    };
+
+    for (const edge of edges) {
+      if (edge.to) {
+        add(edge.toClass, {
+          group: this.groupLabel(edge.group),
+          node: edge.to,
+        });
+      }
+    }
+    for (const edge of edges) {
+      if (!edge.from) continue;
+      const group = this.groupLabel(edge.group);
+      const listed = roles.get(edge.fromClass) ?? [];
+      if (!listed.some((c) => c.node === edge.from && c.group === group)) {
+        add(edge.fromClass, { group, node: edge.from });
+      }
+    }
+    return roles;
+  }
+
+  private groupLabel(groupNode: DataNode): string {
+    return typeof groupNode.data?.label === "string"
+      ? groupNode.data.label
+      : groupNode.cid;
+  }
+
+  private mergeRole(
+    roles: Map<string, GroupContribution[]>,
+    lexiconClasses: string[],
+    fallback: () => DataNode | undefined,
+  ): MergedNode | undefined {
+    const contributions = lexiconClasses.flatMap(
+      (lexiconClass) => roles.get(lexiconClass) ?? [],
+    );
+    if (contributions.length === 0) {
+      const node = fallback();
+      if (node) contributions.push({ group: UNLISTED_GROUP, node });
+    }
+    return this.merger.mergeEntity(lexiconClasses[0], contributions);
+  }
+
+  // Collections take every node listed under the role, plus unlisted nodes
+  // that look like one
+  private mergeRoleCollection(
+    roles: Map<string, GroupContribution[]>,
+    lexiconClass: string,
+    unlisted: DataNode[],
+    keyOf: (data: any) => string | null | undefined,
+  ): MergedNode[] {
+    const contributions = [
+      ...(roles.get(lexiconClass) ?? []),
+      ...unlisted.map((node) => ({ group: UNLISTED_GROUP, node })),
+    ];
+    return this.merger.mergeCollection(lexiconClass, contributions, keyOf);
+  }
+
+  private unlistedNodes(
+    graph: Map<string, DataNode>,
+    roles: Map<string, GroupContribution[]>,
+  ): Map<string, DataNode> {
+    const listed = new Set(
+      [...roles.values()].flat().map((contribution) => contribution.node),
+    );
+    return new Map([...graph].filter(([, node]) => !listed.has(node)));
+  }
+
   private findNodeByContent(
     graph: Map<string, DataNode>,
     field: string,
@@ -494,33 +1009,27 @@ export class IPLDDataLoader {
       // Consider it a structure node if it has at least 2 structure fields
       if (matchCount >= 2) {
         structureNodes.push(node);
-        console.log(
-          "Found structure node:",
-          node.cid,
-          "with",
-          matchCount,
-          "structure fields",
+        this.logger?.debug(
+          `Found structure node ${node.cid} with ${matchCount} structure fields`,
         );
       }
     }
 
     if (structureNodes.length === 0) {
-      console.log("No structure nodes found");
+      this.logger?.debug("No structure nodes found");
       return undefined;
     }
 
     // If we found multiple structure nodes, merge them into one
     if (structureNodes.length > 1) {
-      console.log(
-        "Found",
-        structureNodes.length,
-        "structure nodes, merging data...",
+      this.logger?.debug(
+        `Found ${structureNodes.length} structure nodes, merging data`,
       );
       return this.mergeStructureNodes(structureNodes);
     }
 
     // If only one structure node, return it
-    console.log("Selected single structure node:", structureNodes[0].cid);
+    this.logger?.debug(`Selected structure node ${structureNodes[0].cid}`);
     return structureNodes[0];
   }
 
@@ -550,10 +1059,8 @@ export class IPLDDataLoader {
       relationships: new Map(),
     };
 
-    console.log(
-      "Merged structure data with",
-      Object.keys(mergedData).length,
-      "fields",
+    this.logger?.debug(
+      `Merged structure data with ${Object.keys(mergedData).length} fields`,
     );
     return mergedNode;
   }
@@ -561,15 +1068,11 @@ export class IPLDDataLoader {
   private extractPropertyInfo(
     propertyNode?: DataNode,
     addressNode?: DataNode,
-    lotNode?: DataNode,
-    structureNode?: DataNode,
-    layoutNodes?: LayoutSummary,
+    roomCounts?: RoomReconciliation,
     unnormalizedAddress?: DataNode,
   ): PropertyInfo {
     const propertyData = propertyNode?.data || {};
     const addressData = addressNode?.data || {};
-    const lotData = lotNode?.data || {};
-    const structureData = structureNode?.data || {};
     let fullAddress = "";
     let coordinates = "";
     if (Object.hasOwn(addressData, "street_name")) {
@@ -607,65 +1110,8 @@ export class IPLDDataLoader {
       fullAddress = unnormalizedAddress.data.full_address || "";
     }
 
-    // Calculate beds/baths from layout data
-    let beds = 0;
-    let baths = 0;
-
-    if (layoutNodes) {
-      for (const layoutGroup of Object.values(layoutNodes)) {
-        layoutGroup.forEach((node: RenderItem) => {
-          console.log(node);
-          const spaceType = node.space_type;
-          if (spaceType) {
-            const lowerSpaceType = spaceType.enumDescription.toLowerCase();
-            console.log("Processing space_type:", spaceType.enumDescription);
-
-            // Count bedrooms
-            if (
-              lowerSpaceType.includes("bedroom") ||
-              lowerSpaceType.includes("primary bedroom")
-            ) {
-              beds += 1;
-            }
-
-            // Count bathrooms
-            if (lowerSpaceType.includes("full bathroom")) {
-              console.log("Found full bathroom:", spaceType.enumDescription);
-              baths += 1;
-            } else if (
-              lowerSpaceType.includes("half bathroom") ||
-              lowerSpaceType.includes("half bath") ||
-              lowerSpaceType.includes("powder room")
-            ) {
-              console.log(
-                "Found half bathroom/powder room:",
-                spaceType.enumDescription,
-              );
-              baths += 0.5;
-            } else {
-              console.log(
-                "Checking bathroom - space_type:",
-                spaceType.enumDescription,
-                "lowerSpaceType:",
-                lowerSpaceType,
-              );
-            }
-          }
-        });
-      }
-    }
-
-    // Fallback to structure data if no layout data
-    if (beds === 0 && structureData.structure_rooms_bedroom) {
-      beds = parseInt(structureData.structure_rooms_bedroom) || 0;
-    }
-
-    if (baths === 0) {
-      const fullBaths = parseInt(structureData.structure_rooms_bathroom) || 0;
-      const halfBaths =
-        parseInt(structureData.structure_rooms_bathroom_half) || 0;
-      baths = fullBaths + halfBaths * 0.5;
-    }
+    const beds = roomCounts?.bedrooms ?? 0;
+    const baths = roomCounts?.bathrooms ?? 0;
 
     const sqft = parseInt(propertyData.livable_floor_area);
     if (!propertyData.source_http_request) {
@@ -707,151 +1153,185 @@ export class IPLDDataLoader {
       type: propertyData.property_type || "",
       yearBuilt: propertyData.property_structure_built_year || "",
       legalDescription: propertyData.property_legal_description_text || "",
-      lotArea: lotData.lot_size_sqft ? `${lotData.lot_size_sqft} sqft` : "",
-      lotType: this.determineLotType(lotData.lot_size_sqft) || "",
       sourceUrl: url.toString(),
       source_http_request: propertyData.source_http_request || null,
     };
   }
 
-  private determineLotType(lotSizeSqft?: string): string {
-    if (!lotSizeSqft) return "";
-
-    const size = parseInt(lotSizeSqft);
-    if (isNaN(size)) return "";
+  private extractLot(lotNode?: MergedNode): LotSummary | null {
+    if (!lotNode) return null;
+    const data = lotNode.data;
+    const sqft = this.positiveAmount(data.lot_area_sqft);
+    const acres = this.positiveAmount(data.lot_size_acre);
+    const lot: LotSummary = {
+      features: this.buildRenderItem(data, "lot"),
+      areaSqft:
+        sqft ?? (acres !== null ? Math.round(acres * SQFT_PER_ACRE) : null),
+      acres:
+        acres ??
+        (sqft !== null ? Math.round((sqft / SQFT_PER_ACRE) * 100) / 100 : null),
+      widthFeet: this.positiveAmount(data.lot_width_feet),
+      lengthFeet: this.positiveAmount(data.lot_length_feet),
+      source_http_request: data.source_http_request || null,
+    };
+    const empty =
+      Object.keys(lot.features).length === 0 &&
+      lot.areaSqft === null &&
+      lot.widthFeet === null &&
+      lot.lengthFeet === null;
+    return empty ? null : lot;
+  }
 
-    // 1 acre = 43,560 sqft
-    const acreSize = 43560;
+  private extractUtilities(utilityNode?: MergedNode): UtilitySystem[] {
+    if (!utilityNode) return [];
+    const data = utilityNode.data;
+    const mapped = this.buildRenderItem(data, "utility");
+    const systems: UtilitySystem[] = [];
+
+    for (const rule of utilitySystemsRaw.systems as UtilitySystemRule[]) {
+      const types = (rule.types ?? [])
+        .map((field) => mapped[field])
+        .filter((info): info is EnumInfo => info !== undefined);
+      if (
+        mapped.public_utility_type &&
+        rule.publicUtilities?.includes(data.public_utility_type)
+      ) {
+        types.push(mapped.public_utility_type);
+      }
+      const installed = (rule.installed ?? [])
+        .map((field) => this.dates.parse(data[field]))
+        .find((date) => date !== null);
+
+      const system: UtilitySystem = {
+        key: rule.key,
+        label: rule.label,
+        iconName:
+          types.find((info) => info.iconName)?.iconName ??
+          `type=${rule.icon}.svg`,
+        types,
+        condition: (rule.condition && mapped[rule.condition]) || null,
+        issues: (rule.issues && mapped[rule.issues]) || null,
+        installedYear: installed?.year ?? null,
+        details: Object.entries(rule.details ?? {}).flatMap(
+          ([field, label]) => {
+            const value = this.utilityDetail(data[field]);
+            return value !== null ? [{ field, label, value }] : [];
+          },
+        ),
+      };
+      if (
+        system.types.length > 0 ||
+        system.condition ||
+        system.issues ||
+        system.installedYear !== null ||
+        system.details.length > 0
+      ) {
+        systems.push(system);
+      }
+    }
+    return systems;
+  }
 
-    if (size <= acreSize / 4) {
-      return "Less than or equal to 1/4 acre";
-    } else if (size <= acreSize / 2) {
-      return "Less than or equal to 1/2 acre";
-    } else if (size <= acreSize) {
-      return "Less than or equal to 1 acre";
-    } else {
-      return "Greater than 1 acre";
+  // No and empty values say nothing worth showing
+  private utilityDetail(value: unknown): string | number | true | null {
+    if (value === true) return true;
+    if (typeof value === "number") return Number.isFinite(value) ? value : null;
+    if (typeof value === "string") return value.trim() || null;
+    if (Array.isArray(value)) {
+      const items = value.filter((item) => item !== null && item !== "");
+      return items.length > 0 ? items.join(", ") : null;
     }
+    return null;
   }
 
   private extractSalesHistory(
-    salesNodes: DataNode[],
+    salesNodes: MergedNode[],
     graph: Map<string, DataNode>,
+    edges: RelationshipEdge[],
   ): SaleInfo[] {
     const sales: SaleInfo[] = [];
+    const ownerEdges = edges.filter(
+      (edge) =>
+        edge.fromClass === "sales" &&
+        (edge.toClass === "person" || edge.toClass === "company"),
+    );
 
     for (const saleNode of salesNodes) {
       const saleData = saleNode.data;
 
-      // Find all related persons through relationships
-      const ownerNames: string[] = [];
-
-      // Look for relationship files that connect this sale to owners (persons or companies)
-      for (const node of graph.values()) {
-        // Check if this node has from/to structure typical of relationships
-        if (
-          node.data &&
-          node.data.from &&
-          node.data.to &&
-          typeof node.data.from === "object" &&
-          typeof node.data.to === "object"
-        ) {
-          // Check if this relationship connects to our sale
-          const fromLink = node.data.from;
-          const toLink = node.data.to;
-
-          if (fromLink && toLink) {
-            // Check if this relationship is for our sale
-            const saleCid = this.extractCidFromLink(fromLink);
-            if (saleCid === saleNode.cid) {
-              // Find the owner node (person or company)
-              const ownerCid = this.extractCidFromLink(toLink);
-              const ownerNode = Array.from(graph.values()).find(
-                (n) => n.cid === ownerCid,
-              );
-
-              if (ownerNode) {
-                // Extract owner name from data - try various field names
-                let ownerName = "";
-
-                // Try common person name fields
-                if (ownerNode.data.person_name) {
-                  // If we have a full name, split it and format as "Last, First"
-                  const nameParts = ownerNode.data.person_name
-                    .trim()
-                    .split(" ");
-                  if (nameParts.length >= 2) {
-                    const lastName = nameParts[0];
-                    const firstName = nameParts.slice(1).join(" ");
-                    ownerName = `${lastName}, ${firstName}`;
-                  } else {
-                    ownerName = ownerNode.data.person_name;
-                  }
-                } else if (
-                  ownerNode.data.first_name ||
-                  ownerNode.data.last_name
-                ) {
-                  // If we have separate first and last names
-                  const firstName = ownerNode.data.first_name || "";
-                  const lastName = ownerNode.data.last_name || "";
-                  if (firstName && lastName) {
-                    ownerName = `${lastName}, ${firstName}`;
-                  } else {
-                    ownerName = `${firstName}${lastName}`.trim();
-                  }
-                }
-                // Try common company name fields
-                else if (ownerNode.data.company_name) {
-                  ownerName = ownerNode.data.company_name;
-                } else if (ownerNode.data.organization_name) {
-                  ownerName = ownerNode.data.organization_name;
-                } else if (ownerNode.data.business_name) {
-                  ownerName = ownerNode.data.business_name;
-                } else if (ownerNode.data.name) {
-                  ownerName = ownerNode.data.name;
-                }
-                // Try any field that might contain a name
-                else {
-                  // Scan all fields for potential name data
-                  for (const [key, value] of Object.entries(ownerNode.data)) {
-                    if (
-                      typeof value === "string" &&
-                      value.length > 0 &&
-                      (key.toLowerCase().includes("name") ||
-                        key.toLowerCase().includes("title"))
-                    ) {
-                      ownerName = value;
-                      break;
-                    }
-                  }
-                }
-
-                // Add to owners list if not already present
-                if (ownerName && !ownerNames.includes(ownerName)) {
-                  ownerNames.push(ownerName);
-                }
-              }
-            }
+      // Owners are linked through sales_history_has_person/company from any
+      // of the merged sale records; graphs without typed relationships are
+      // scanned for any relationship file that starts at this sale
+      const saleRecords = saleNode.sources.map((source) => source.node);
+      const ownerNodes =
+        ownerEdges.length > 0
+          ? ownerEdges
+              .filter((edge) => saleRecords.includes(edge.from!) && edge.to)
+              .map((edge) => edge.to!)
+          : this.findRelatedNodes(saleNode, graph);
+
+      // Each owner node can name several people, a company or a trust
+      const grantees: AssociatedEntity[] = [];
+      for (const ownerNode of ownerNodes) {
+        const lexiconClass = ownerEdges.find((edge) => edge.to === ownerNode)
+          ?.toClass;
+        for (const entity of this.nameParser.parseRecord(
+          ownerNode.data,
+          "grantee",
+          lexiconClass,
+        )) {
+          if (
+            !grantees.some(
+              (other) =>
+                other.type === entity.type && other.name === entity.name,
+            )
+          ) {
+            grantees.push(entity);
           }
         }
       }
 
-      // Format date
-      const date = this.formatDate(saleData.ownership_transfer_date);
-
       sales.push({
-        date,
+        date: this.dates.isoDate(saleData.ownership_transfer_date),
         price: saleData.purchase_price_amount || 0,
-        owner: ownerNames.join("; "), // Join multiple owners with semicolon
+        grantees,
+        source_http_request: saleData.source_http_request || null,
+        source_cid: this.requestSourceCid(saleNode),
+        footnotes: SourceCitations.footnotes(saleNode),
       });
     }
 
-    // Sort by date descending
-    return sales.sort((a, b) => {
-      const dateA = new Date(a.date);
-      const dateB = new Date(b.date);
-      return dateB.getTime() - dateA.getTime();
-    });
+    // Most recent first; ISO dates sort as text, undated sales go last
+    return sales.sort((a, b) => (b.date ?? "").localeCompare(a.date ?? ""));
+  }
+
+  // The node a merged record's source_http_request was taken from
+  private requestSourceCid(node: MergedNode): string {
+    return node.fields.source_http_request?.cid ?? node.cid;
+  }
+
+  private findRelatedNodes(
+    fromNode: DataNode,
+    graph: Map<string, DataNode>,
+  ): DataNode[] {
+    const related: DataNode[] = [];
+    for (const node of graph.values()) {
+      // Check if this node has from/to structure typical of relationships
+      if (
+        node.data &&
+        node.data.from &&
+        node.data.to &&
+        typeof node.data.from === "object" &&
+        typeof node.data.to === "object" &&
+        this.extractCidFromLink(node.data.from) === fromNode.cid
+      ) {
+        const toNode = this.resolveNodeFromLink(node.data.to, graph);
+        if (toNode) {
+          related.push(toNode);
+        }
+      }
+    }
+    return related;
   }
 
   private extractCidFromLink(link: any): string {
@@ -865,46 +1345,124 @@ export class IPLDDataLoader {
     return "";
   }
 
-  private formatDate(dateStr: string): string {
-    if (!dateStr) return "";
-
-    const date = new Date(dateStr);
-    const months = [
-      "January",
-      "February",
-      "March",
-      "April",
-      "May",
-      "June",
-      "July",
-      "August",
-      "September",
-      "October",
-      "November",
-      "December",
-    ];
-
-    return `${months[date.getMonth()]} ${date.getFullYear()}`;
-  }
-
-  private extractTaxHistory(taxNodes: DataNode[]): TaxInfo[] {
+  private extractTaxHistory(
+    taxNodes: MergedNode[],
+    edges: RelationshipEdge[],
+  ): TaxInfo[] {
     const taxes: TaxInfo[] = [];
+    const linked = (taxNode: MergedNode, pattern: RegExp) => {
+      const records = taxNode.sources.map((source) => source.node);
+      return edges
+        .filter(
+          (edge) =>
+            edge.fromClass === "tax" &&
+            pattern.test(edge.toClass) &&
+            edge.to &&
+            records.includes(edge.from!),
+        )
+        .map((edge) => edge.to!.data ?? {});
+    };
 
     for (const taxNode of taxNodes) {
       const taxData = taxNode.data;
+      const year = Number(taxData.tax_year);
+      if (!Number.isInteger(year) || year <= 0) continue;
+
+      const tax: TaxInfo = {
+        tax_year: year,
+        property_assessed_value_amount: this.amount(
+          taxData.property_assessed_value_amount,
+        ),
+        property_market_value_amount: this.amount(
+          taxData.property_market_value_amount,
+        ),
+        property_building_amount: this.amount(taxData.property_building_amount),
+        property_land_amount: this.amount(taxData.property_land_amount),
+        property_taxable_value_amount: this.amount(
+          taxData.property_taxable_value_amount,
+        ),
+        monthly_tax_amount: this.amount(taxData.monthly_tax_amount),
+        yearly_tax_amount: this.amount(taxData.yearly_tax_amount),
+        period_start_date: this.dates.isoDate(taxData.period_start_date),
+        period_end_date: this.dates.isoDate(taxData.period_end_date),
+        // Authorities and exemptions are either fields of the tax record or
+        // nodes linked from it (tax_has_tax_authority, tax_has_exemption),
+        // several per year
+        authorities: this.uniqueRecords([
+          this.taxAuthority(taxData, true),
+          ...linked(taxNode, /authority/).map((data) =>
+            this.taxAuthority(data, false),
+          ),
+        ]),
+        exemptions: this.uniqueRecords([
+          this.taxExemption(taxData, true),
+          ...linked(taxNode, /exemption/).map((data) =>
+            this.taxExemption(data, false),
+          ),
+        ]),
+        source_http_request: taxData.source_http_request || null,
+        source_cid: this.requestSourceCid(taxNode),
+        footnotes: SourceCitations.footnotes(taxNode),
+      };
 
-      const year = taxData.tax_year;
-
-      if (year && taxData.property_taxable_value_amount) {
-        taxes.push({
-          year,
-          value: taxData.property_taxable_value_amount || 0,
-        });
+      const hasAmounts = Object.entries(tax).some(
+        ([field, value]) => field.endsWith("_amount") && value !== null,
+      );
+      if (hasAmounts || tax.authorities.length || tax.exemptions.length) {
+        taxes.push(tax);
       }
     }
 
-    // Sort by year ascending
-    return taxes.sort((a, b) => a.year - b.year);
+    // Most recent year first
+    return taxes.sort((a, b) => b.tax_year - a.tax_year);
+  }
+
+  // On the tax record itself only the prefixed fields describe an authority
+  private taxAuthority(data: any, prefixedOnly: boolean): TaxAuthority {
+    const field = (name: string) =>
+      data[`authority_${name}`] ?? (prefixedOnly ? null : data[name]) ?? null;
+    return {
+      name: field("name"),
+      account_identifier: field("account_identifier"),
+      category: field("category"),
+      tax_amount: this.amount(field("tax_amount")),
+    };
+  }
+
+  private taxExemption(data: any, prefixedOnly: boolean): TaxExemption {
+    const field = (name: string) =>
+      data[`property_exemption_${name}`] ??
+      (prefixedOnly ? null : (data[`exemption_${name}`] ?? data[name])) ??
+      null;
+    return {
+      type: field("type"),
+      amount: this.amount(field("amount")),
+    };
+  }
+
+  // Records with at least one value, without duplicates
+  private uniqueRecords<T extends object>(records: T[]): T[] {
+    const unique = new Map<string, T>();
+    for (const record of records) {
+      if (Object.values(record).every((value) => value === null)) continue;
+      unique.set(JSON.stringify(record), record);
+    }
+    return [...unique.values()];
+  }
+
+  private amount(value: unknown): number | null {
+    if (typeof value === "number") return Number.isFinite(value) ? value : null;
+    if (typeof value === "string" && value.trim()) {
+      const parsed = Number(value.replace(/[$,\s]/g, ""));
+      return Number.isFinite(parsed) ? parsed : null;
+    }
+    return null;
+  }
+
+  // Measurements of 0 are unknown ones
+  private positiveAmount(value: unknown): number | null {
+    const amount = this.amount(value);
+    return amount !== null && amount > 0 ? amount : null;
   }
 
   private extractFeatures(structureNode: DataNode): PropertyFeatures {
@@ -927,9 +1485,55 @@ export class IPLDDataLoader {
     return features;
   }
 
+  // Photos linked to a room by a layout_has_file relationship from any of the
+  // layout records it was merged from
+  private layoutPhotos(
+    layoutNodes: MergedNode[],
+    edges: RelationshipEdge[],
+  ): Map<MergedNode, CarouselImage[]> {
+    const files = new Map<DataNode, DataNode[]>();
+    for (const edge of edges) {
+      if (edge.key !== "layout_has_file" || !edge.from || !edge.to) continue;
+      files.set(edge.from, [...(files.get(edge.from) ?? []), edge.to]);
+    }
+
+    const photos = new Map<MergedNode, CarouselImage[]>();
+    for (const layout of layoutNodes) {
+      const images: CarouselImage[] = [];
+      for (const { node } of layout.sources) {
+        for (const fileNode of files.get(node) ?? []) {
+          const image = this.carouselImage(fileNode);
+          if (image && !images.some((i) => i.ipfs_url === image.ipfs_url)) {
+            images.push(image);
+          }
+        }
+      }
+      if (images.length > 0) photos.set(layout, images);
+    }
+    return photos;
+  }
+
+  private carouselImage(fileNode: DataNode): CarouselImage | null {
+    if (
+      fileNode.data?.document_type !== "PropertyImage" ||
+      !fileNode.data.ipfs_url
+    ) {
+      return null;
+    }
+    return {
+      ipfs_url: fileNode.data.ipfs_url,
+      name: fileNode.data.name || "",
+      document_type: fileNode.data.document_type,
+      file_format: fileNode.data.file_format,
+    };
+  }
+
+  // Room photos that no property_has_file lists are added, so every photo in
+  // the floorplan can be opened in the carousel
   private async loadCarouselImages(
     _rootDir: string,
     graph: Map<string, DataNode>,
+    roomPhotos: CarouselImage[] = [],
   ): Promise<CarouselImage[]> {
     const images: CarouselImage[] = [];
 
@@ -964,16 +1568,9 @@ export class IPLDDataLoader {
               }
 
               // Check if it's an image
-              if (
-                fileNode?.data?.document_type === "PropertyImage" &&
-                fileNode.data.ipfs_url
-              ) {
-                images.push({
-                  ipfs_url: fileNode.data.ipfs_url,
-                  name: fileNode.data.name || "",
-                  document_type: fileNode.data.document_type,
-                  file_format: fileNode.data.file_format,
-                });
+              const image = fileNode && this.carouselImage(fileNode);
+              if (image) {
+                images.push(image);
               }
             }
           }
@@ -999,16 +1596,9 @@ export class IPLDDataLoader {
               // Resolve the file metadata node
               const fileNode = this.resolveNodeFromLink(node.data.to, graph);
 
-              if (
-                fileNode?.data?.document_type === "PropertyImage" &&
-                fileNode.data.ipfs_url
-              ) {
-                images.push({
-                  ipfs_url: fileNode.data.ipfs_url,
-                  name: fileNode.data.name || "",
-                  document_type: fileNode.data.document_type,
-                  file_format: fileNode.data.file_format,
-                });
+              const image = fileNode && this.carouselImage(fileNode);
+              if (image) {
+                images.push(image);
               }
             }
           }
@@ -1032,22 +1622,21 @@ export class IPLDDataLoader {
             // Resolve the file metadata node
             const fileNode = this.resolveNodeFromLink(toLink, graph);
 
-            if (
-              fileNode?.data?.document_type === "PropertyImage" &&
-              fileNode.data.ipfs_url
-            ) {
-              images.push({
-                ipfs_url: fileNode.data.ipfs_url,
-                name: fileNode.data.name || "",
-                document_type: fileNode.data.document_type,
-                file_format: fileNode.data.file_format,
-              });
+            const image = fileNode && this.carouselImage(fileNode);
+            if (image) {
+              images.push(image);
             }
           }
         }
       }
     }
 
+    for (const photo of roomPhotos) {
+      if (!images.some((image) => image.ipfs_url === photo.ipfs_url)) {
+        images.push(photo);
+      }
+    }
+
     // Sort images by filename number
     images.sort((a, b) => {
       const numA = parseInt(a.ipfs_url.match(/\d+/)?.[0] || "0");
@@ -1065,143 +1654,118 @@ export class IPLDDataLoader {
     return this.buildRenderItem(node.data, className);
   }
 
-  private loadLayoutData(graph: Map<string, DataNode>): LayoutSummary {
-    const layoutsByDataGroup: Record<string, LayoutInfo[]> = {};
-    // Method 1: Find nodes that have relationships.property_has_layout
-    for (const node of graph.values()) {
-      if (node.data?.relationships?.property_has_layout) {
-        // This node contains property_has_layout relationships
-        const propertyHasLayoutLinks =
-          node.data.relationships.property_has_layout;
-
-        console.log(
-          "Found property_has_layout relationships:",
-          propertyHasLayoutLinks.length,
-        );
-
-        // Process each relationship link
-        for (const relationshipLink of propertyHasLayoutLinks) {
-          if (this.isIPLDLink(relationshipLink)) {
-            // Resolve the relationship node
-            const relationshipNode = this.resolveNodeFromLink(
-              relationshipLink,
-              graph,
-            );
-
-            if (!relationshipNode) {
-              console.log(
-                "Could not resolve relationship node for:",
-                relationshipLink,
-              );
-              continue;
-            }
-
-            if (relationshipNode?.data?.to) {
-              // Resolve the layout node
-              const layoutNode = this.resolveNodeFromLink(
-                relationshipNode.data.to,
-                graph,
-              );
-
-              if (!layoutNode) {
-                console.log(
-                  "Could not resolve layout node for:",
-                  relationshipNode.data.to,
-                );
-                continue;
-              }
-
-              // Extract layout data
-              if (layoutNode?.data?.space_type) {
-                console.log("Loaded layout:", layoutNode.data.space_type);
-                (layoutsByDataGroup[node.data.label] ??= []).push(
-                  layoutNode.data as LayoutInfo,
-                );
-              }
-            }
-          }
-        }
-      }
+  // Rooms from every data group, merged room by room and grouped by floor
+  private loadLayoutData(
+    layoutNodes: MergedNode[],
+    roomPhotos: Map<MergedNode, CarouselImage[]> = new Map(),
+    carouselImages: CarouselImage[] = [],
+  ): LayoutSummary {
+    const layouts = layoutNodes
+      .filter((node) => node.data.space_type)
+      .sort((a, b) => a.data.space_type.localeCompare(b.data.space_type));
+    const photos = (node: MergedNode): RoomPhoto[] =>
+      (roomPhotos.get(node) ?? []).map((image) => ({
+        ipfs_url: image.ipfs_url,
+        name: image.name ?? "",
+        carouselIndex: carouselImages.findIndex(
+          (carouselImage) => carouselImage.ipfs_url === image.ipfs_url,
+        ),
+      }));
+
+    const byFloor = new Map<string | number | null, MergedNode[]>();
+    for (const node of layouts.filter((node) => !node.data.is_exterior)) {
+      const floorLevel = (node.data as LayoutInfo).floor_level;
+      const level =
+        typeof floorLevel === "number" ? floorLevel : floorLevel?.trim() || null;
+      byFloor.set(level, [...(byFloor.get(level) ?? []), node]);
     }
 
-    let layouts: LayoutInfo[] = [];
-    console.log("Available data groups:", Object.keys(layoutsByDataGroup));
-    console.log(
-      "Data groups with layout counts:",
-      Object.entries(layoutsByDataGroup).map(
-        ([group, layouts]) => `${group}: ${layouts.length} layouts`,
-      ),
-    );
+    const exterior = layouts.filter((node) => node.data.is_exterior);
+    return {
+      floors: [...byFloor]
+        .sort(([a], [b]) => this.compareFloorLevels(a, b))
+        .map(([level, rooms]) => this.layoutGroup(level, false, rooms, photos)),
+      exterior:
+        exterior.length > 0
+          ? this.layoutGroup(null, true, exterior, photos)
+          : null,
+    };
+  }
 
-    if (Object.keys(layoutsByDataGroup).length === 1) {
-      layouts = layoutsByDataGroup[Object.keys(layoutsByDataGroup)[0]];
-      console.log(
-        "Selected single data group:",
-        Object.keys(layoutsByDataGroup)[0],
-      );
-    } else if (Object.hasOwn(layoutsByDataGroup, "Photo Metadata")) {
-      layouts = layoutsByDataGroup["Photo Metadata"];
-      console.log("Selected Photo Metadata data group");
-    } else {
-      if (Object.keys(layoutsByDataGroup).length === 0) {
-        layouts = [];
-        console.log("No data groups found");
-      } else {
-        const [_, value] = Object.entries(layoutsByDataGroup).reduce(
-          (max, current) => (current[1].length > max[1].length ? current : max),
-        );
-        layouts = value;
-        console.log("Selected largest data group");
-      }
-    }
+  private layoutGroup(
+    floorLevel: string | number | null,
+    exterior: boolean,
+    nodes: MergedNode[],
+    photos: (node: MergedNode) => RoomPhoto[],
+  ): LayoutGroup {
+    const layouts = nodes.map((node) => node.data as LayoutInfo);
+    const sizes = layouts
+      .map((layout) => layout.size_square_feet)
+      .filter((size): size is number => typeof size === "number" && size > 0);
+    return {
+      floorLevel,
+      exterior,
+      rooms: layouts.map((layout) => this.buildRenderItem(layout, "layout")),
+      photos: nodes.map(photos),
+      roomCount: layouts.length,
+      squareFeet:
+        sizes.length > 0 ? sizes.reduce((sum, size) => sum + size, 0) : null,
+    };
+  }
 
-    console.log("Final layouts count:", layouts.length);
-    console.log(
-      "Final layouts:",
-      layouts.map((l) => l.space_type),
+  // Basements first, then numbered floors, then attics and roofs; names that
+  // say nothing about height come after those, and rooms without a floor last
+  private compareFloorLevels(
+    a: string | number | null,
+    b: string | number | null,
+  ): number {
+    if (a === null || b === null) return a === b ? 0 : a === null ? 1 : -1;
+    return (
+      this.floorHeight(a) - this.floorHeight(b) ||
+      String(a).localeCompare(String(b), undefined, { numeric: true })
     );
+  }
 
-    const firstFloorLayouts = layouts
-      .filter((layout) => layout["floor_level"] === "1st Floor")
-      .sort((a, b) => a.space_type.localeCompare(b.space_type))
-      .map((layout) => this.buildRenderItem(layout, "layout"));
-
-    const secondFloorLayouts = layouts
-      .filter((layout) => layout["floor_level"] === "2nd Floor")
-      .sort((a, b) => a.space_type.localeCompare(b.space_type))
-      .map((layout) => this.buildRenderItem(layout, "layout"));
-
-    const otherLayouts = layouts
-      .filter(
-        (layout) =>
-          layout["floor_level"] !== "1st Floor" &&
-          layout["floor_level"] !== "2nd Floor",
-      )
-      .sort((a, b) => a.space_type.localeCompare(b.space_type))
-      .map((layout) => this.buildRenderItem(layout, "layout"));
-
-    return {
-      firstFloorLayouts,
-      secondFloorLayouts,
-      otherLayouts,
-    };
+  private floorHeight(level: string | number): number {
+    if (typeof level === "number") return level;
+    const name = level.toLowerCase();
+    if (/sub-?basement/.test(name)) return -2;
+    if (/basement|cellar|lower level/.test(name)) return -1;
+    if (/ground|main|street level/.test(name)) return 1;
+    const number = name.match(/\d+/);
+    if (number) return Number(number[0]);
+    const ordinal = FLOOR_ORDINALS.findIndex((word) =>
+      new RegExp(`\\b${word}\\b`).test(name),
+    );
+    if (ordinal !== -1) return ordinal + 1;
+    if (/attic|loft/.test(name)) return 1000;
+    if (/roof/.test(name)) return 1001;
+    return 2000;
   }
 
   private buildRenderItem(item: Object, className: string): RenderItem {
-    const renderItem: RenderItem = {};
-    const classMapping = this.enumMapping[className] || {};
-    for (const [key, value] of Object.entries(item)) {
-      const propertyMapping = classMapping[key];
-      if (!propertyMapping) {
-        continue;
-      }
-      const valueMapping = propertyMapping[value];
-      if (!valueMapping) {
-        continue;
+    return this.enumMapper.render(item, className);
+  }
+
+  // Each unmapped class, property and value once
+  private unmappedValues(
+    entities: [lexiconClass: string, nodes: (MergedNode | undefined)[]][],
+  ): UnmappedEnumValue[] {
+    const values = new Map<string, UnmappedEnumValue>();
+    for (const [lexiconClass, nodes] of entities) {
+      for (const node of nodes) {
+        for (const value of this.enumMapper.unmapped(
+          node?.data,
+          lexiconClass,
+        )) {
+          values.set(
+            `${value.lexiconClass}.${value.lexiconProperty}=${value.value}`,
+            value,
+          );
+        }
       }
-      renderItem[key] = valueMapping;
     }
-    return renderItem;
+    return [...values.values()];
   }
 
   private resolveNodeFromLink(
@@ -1223,65 +1787,38 @@ export class IPLDDataLoader {
     }
   }
 
-  private determineDataLabel(
-    graph: Map<string, DataNode>,
+  private determineDataLabels(
+    propertyGraph: PropertyGraph,
     carousel_images: CarouselImage[],
-  ): string {
-    // First, collect all labels found in the graph
-    const labels: string[] = [];
-    for (const node of graph.values()) {
-      if (node.data && node.data.label) {
-        console.log(
-          "Found explicit label:",
-          node.data.label,
-          "in node:",
-          node.cid,
-        );
-        labels.push(node.data.label);
-      }
+  ): string[] {
+    const labels = propertyGraph.dataGroups
+      .map(({ node }) => node.data?.label)
+      .filter((label): label is string => typeof label === "string");
+
+    // Most specific first: Photo Metadata > Photo > County > Seed
+    if (labels.length > 0) {
+      return [...new Set(labels)].sort(
+        (a, b) => this.labelRank(a) - this.labelRank(b),
+      );
     }
 
-    // Also check for label in any field of any node (case-insensitive)
-    for (const node of graph.values()) {
-      if (node.data) {
-        for (const [key, value] of Object.entries(node.data)) {
-          if (key.toLowerCase() === "label" && typeof value === "string") {
-            console.log(
-              "Found label in field:",
-              key,
-              "value:",
-              value,
-              "in node:",
-              node.cid,
-            );
-            labels.push(value);
-          }
-        }
-      }
-    }
+    return [this.guessDataLabel(propertyGraph.graph, carousel_images)];
+  }
 
-    // Prioritize labels: Photo Metadata > Photo > County > Seed
-    if (labels.includes("Photo Metadata")) {
-      console.log("Found Photo Metadata label, returning Photo Metadata");
-      return "Photo Metadata";
-    }
-    if (labels.includes("Photo")) {
-      console.log("Found Photo label, returning Photo");
-      return "Photo";
-    }
-    if (labels.includes("County")) {
-      console.log("Found County label, returning County");
-      return "County";
-    }
-    if (labels.includes("Seed")) {
-      console.log("Found Seed label, returning Seed");
-      return "Seed";
-    }
+  private labelRank(label: string): number {
+    const index = DATA_LABEL_PRIORITY.indexOf(label);
+    return index === -1 ? DATA_LABEL_PRIORITY.length : index;
+  }
 
+  // Graphs without labelled data groups are labelled by what they contain
+  private guessDataLabel(
+    graph: Map<string, DataNode>,
+    carousel_images: CarouselImage[],
+  ): string {
     // Check for photo metadata (most comprehensive data)
     if (carousel_images.length > 0) {
-      console.log(
-        "No explicit label found, but has carousel images, returning Photo Metadata",
+      this.logger?.debug(
+        "No explicit label found, but has carousel images: Photo Metadata",
       );
       return "Photo Metadata";
     }
@@ -1296,9 +1833,7 @@ export class IPLDDataLoader {
           node.data.file_format === "png"),
     );
     if (hasPhotoData) {
-      console.log(
-        "No explicit label found, but has photo data, returning Photo",
-      );
+      this.logger?.debug("No explicit label found, but has photo data: Photo");
       return "Photo";
     }
 
@@ -1312,14 +1847,14 @@ export class IPLDDataLoader {
           node.data.exterior_wall_material_primary),
     );
     if (hasCountyData) {
-      console.log(
-        "No explicit label found, but has county data, returning County",
+      this.logger?.debug(
+        "No explicit label found, but has county data: County",
       );
       return "County";
     }
 
     // Default to Seed for basic property data
-    console.log("No explicit label found, defaulting to Seed");
+    this.logger?.debug("No explicit label found, defaulting to Seed");
     return "Seed";
   }
 }
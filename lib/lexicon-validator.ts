@@ -0,0 +1,244 @@
+import path from "path";
+import fs from "fs-extra";
+import Ajv, { ErrorObject, ValidateFunction } from "ajv";
+import { CID } from "multiformats/cid";
+import type { DataNode, LexiconNode } from "./ipld-data-loader.js";
+import type { SchemaResolver } from "./schema-resolver.js";
+
+export type ValidationIssueKind =
+  | "type"
+  | "enum"
+  | "required"
+  | "format"
+  | "constraint";
+
+export interface ValidationIssue {
+  kind: ValidationIssueKind;
+  lexiconClass: string;
+  cid: string;
+  source: string;
+  field: string;
+  message: string;
+  value?: any;
+}
+
+// A class whose schema could not be found; its nodes are not checked
+export interface UnresolvedClass {
+  lexiconClass: string;
+  reason: string;
+}
+
+export interface PropertyValidationReport {
+  propertyId: string;
+  // No issues, and every node could be checked
+  valid: boolean;
+  nodesChecked: number;
+  issues: ValidationIssue[];
+  unresolved: UnresolvedClass[];
+}
+
+/**
+ * Validates property graph nodes against their Elephant lexicon class schema.
+ *
+ * Class schemas come from the published lexicon through the schema resolver:
+ * a data group's schema gives the schema CID of each of its relationships,
+ * and a relationship's schema those of its `from` and `to` classes. A lexicon
+ * directory of `<class>.json` files replaces the resolved schema for any
+ * class it contains.
+ */
+export class LexiconValidator {
+  private ajv: Ajv;
+  private resolver: SchemaResolver;
+  private lexiconDir: string | null;
+  // By class for the lexicon directory, by CID for resolved schemas
+  private localValidators: Map<string, Promise<ValidateFunction | null>> =
+    new Map();
+  private validators: Map<string, Promise<ValidateFunction>> = new Map();
+
+  constructor(resolver: SchemaResolver, lexiconDir?: string) {
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    this.resolver = resolver;
+    this.lexiconDir = lexiconDir ? path.resolve(lexiconDir) : null;
+  }
+
+  async validate(
+    propertyId: string,
+    nodes: LexiconNode[],
+  ): Promise<PropertyValidationReport> {
+    const issues: ValidationIssue[] = [];
+    const unresolved = new Map<string, string>();
+    let nodesChecked = 0;
+
+    for (const lexiconNode of nodes) {
+      const { lexiconClass, node } = lexiconNode;
+      let validator: ValidateFunction;
+      try {
+        validator = await this.getValidator(lexiconNode);
+      } catch (error) {
+        if (!unresolved.has(lexiconClass)) {
+          unresolved.set(lexiconClass, (error as Error).message);
+        }
+        continue;
+      }
+
+      nodesChecked++;
+      if (validator(node.data)) continue;
+
+      const errors = validator.errors ?? [];
+      // A wrongly typed value also fails its enum; the type error says enough
+      const mistyped = new Set(
+        errors.filter((e) => e.keyword === "type").map((e) => e.instancePath),
+      );
+      for (const error of errors) {
+        if (error.keyword === "enum" && mistyped.has(error.instancePath)) {
+          continue;
+        }
+        issues.push(this.toIssue(error, lexiconClass, node));
+      }
+    }
+
+    return {
+      propertyId,
+      valid: issues.length === 0 && unresolved.size === 0,
+      nodesChecked,
+      issues,
+      unresolved: [...unresolved].map(([lexiconClass, reason]) => ({
+        lexiconClass,
+        reason,
+      })),
+    };
+  }
+
+  private async getValidator(node: LexiconNode): Promise<ValidateFunction> {
+    const local = await this.getLocalValidator(node.lexiconClass);
+    if (local) return local;
+
+    if (!node.schemaCid) {
+      throw new Error(
+        "the data group is not named after its schema, so there is no schema to follow",
+      );
+    }
+    const cid = await this.classSchemaCid(node.schemaCid, node);
+    const key = cid.toString();
+    if (!this.validators.has(key)) {
+      const pending = this.resolver
+        .resolve(cid)
+        .then((schema) => this.ajv.compile(schema));
+      // A later property may resolve it, e.g. once the cache is filled
+      pending.catch(() => this.validators.delete(key));
+      this.validators.set(key, pending);
+    }
+    return this.validators.get(key)!;
+  }
+
+  private getLocalValidator(
+    lexiconClass: string,
+  ): Promise<ValidateFunction | null> {
+    if (!this.localValidators.has(lexiconClass)) {
+      this.localValidators.set(lexiconClass, this.compileLocal(lexiconClass));
+    }
+    return this.localValidators.get(lexiconClass)!;
+  }
+
+  private async compileLocal(
+    lexiconClass: string,
+  ): Promise<ValidateFunction | null> {
+    if (!this.lexiconDir) return null;
+    const schemaPath = path.join(this.lexiconDir, `${lexiconClass}.json`);
+    if (!(await fs.pathExists(schemaPath))) return null;
+    return this.ajv.compile(await fs.readJson(schemaPath));
+  }
+
+  // Group schema -> relationship schema -> the schema of the node's side
+  private async classSchemaCid(groupCid: CID, node: LexiconNode): Promise<CID> {
+    const group = await this.resolver.resolve(groupCid);
+    const relationshipCid = this.schemaLink(
+      group.properties?.relationships?.properties?.[node.relationship],
+    );
+    if (!relationshipCid) {
+      throw new Error(
+        `schema ${groupCid} has no schema for relationship ${node.relationship}`,
+      );
+    }
+
+    const relationship = await this.resolver.resolve(relationshipCid);
+    const classCid = this.schemaLink(relationship.properties?.[node.side]);
+    if (!classCid) {
+      throw new Error(
+        `relationship schema ${relationshipCid} has no schema for "${node.side}"`,
+      );
+    }
+    return classCid;
+  }
+
+  // Lexicon schemas refer to each other as `{ "cid": "<cid>" }`, also as the
+  // items of an array or one of the options of a nullable link
+  private schemaLink(definition: any): CID | null {
+    if (!definition || typeof definition !== "object") return null;
+    if (typeof definition.cid === "string") {
+      try {
+        return CID.parse(definition.cid);
+      } catch {
+        return null;
+      }
+    }
+    for (const inner of [
+      definition.items,
+      ...(definition.anyOf ?? []),
+      ...(definition.oneOf ?? []),
+    ]) {
+      const cid = this.schemaLink(inner);
+      if (cid) return cid;
+    }
+    return null;
+  }
+
+  private toIssue(
+    error: ErrorObject,
+    lexiconClass: string,
+    node: DataNode,
+  ): ValidationIssue {
+    const segments = error.instancePath.split("/").slice(1);
+    if (error.keyword === "required") {
+      segments.push(error.params.missingProperty);
+    }
+    const field = segments.join(".") || "(root)";
+
+    const issue: ValidationIssue = {
+      kind: this.issueKind(error.keyword),
+      lexiconClass,
+      cid: node.cid,
+      source: node.filePath,
+      field,
+      message: `${field} ${error.message}`,
+    };
+
+    if (error.keyword !== "required") {
+      issue.value = segments.reduce(
+        (value, key) => value?.[key],
+        node.data,
+      );
+    }
+    if (error.keyword === "required") {
+      issue.message = `${field} is required`;
+    }
+    if (error.keyword === "enum") {
+      issue.message = `${field} has unknown value ${JSON.stringify(issue.value)}`;
+    }
+    return issue;
+  }
+
+  private issueKind(keyword: string): ValidationIssueKind {
+    switch (keyword) {
+      case "type":
+      case "enum":
+      case "required":
+      case "format":
+        return keyword;
+      case "pattern":
+        return "format";
+      default:
+        return "constraint";
+    }
+  }
+}
@@ -0,0 +1,459 @@
+import {
+  AssociatedEntity,
+  EntityRole,
+  EstateDetails,
+  PersonName,
+  TrustDetails,
+} from "../types/property.js";
+
+// Canonical spelling of each name suffix, by its bare uppercase token
+const SUFFIXES: Record<string, string> = {
+  JR: "Jr.",
+  SR: "Sr.",
+  II: "II",
+  III: "III",
+  IV: "IV",
+  V: "V",
+  ESQ: "Esq.",
+  MD: "MD",
+  PHD: "PhD",
+  DDS: "DDS",
+  CPA: "CPA",
+};
+// Roman numerals double as initials ("JOHN V SMITH"), so they are suffixes
+// only as the last word of a name
+const TRAILING_SUFFIXES = new Set(["II", "III", "IV", "V"]);
+const PREFIXES = new Set(["MR", "MRS", "MS", "MISS", "DR", "REV", "HON"]);
+// Part of the surname when they come before it, as in "Van Dyke"
+const SURNAME_PARTICLES = new Set([
+  "VAN", "VON", "DE", "DEL", "DELA", "DER", "DI", "DA", "DU", "LA", "LE", "ST",
+]);
+
+const TRUSTEE_MARKERS = new Set([
+  "TR", "TRS", "TRUSTEE", "TRUSTEES", "TTEE", "TTEES", "COTR", "CO-TRUSTEE",
+]);
+const TRUST_WORDS = new Set(["TRUST", "TRUSTS", "TRST"]);
+// "TR" after one of these abbreviates "trust" rather than "trustee"
+const TRUST_QUALIFIERS = new Set([
+  "REV", "REVOCABLE", "IRREV", "IRREVOCABLE", "LIV", "LIVING", "FAM",
+  "FAMILY", "LAND", "DECL",
+]);
+const ESTATE_WORDS = new Set(["ESTATE", "EST"]);
+const COMPANY_WORDS = new Set([
+  "LLC", "INC", "CORP", "CORPORATION", "CO", "COMPANY", "LTD", "LP", "LLP",
+  "LLLP", "PLLC", "PA", "PC", "NA", "BANK", "ASSOCIATION", "ASSN", "ASSOC",
+  "HOLDING", "HOLDINGS", "PROPERTIES", "INVESTMENT", "INVESTMENTS", "PARTNERS",
+  "PARTNERSHIP", "GROUP", "FUND", "FOUNDATION", "CHURCH", "MINISTRIES",
+  "UNIVERSITY", "AUTHORITY", "DEPARTMENT", "DEPT", "ENTERPRISES", "VENTURES",
+  "REALTY", "MORTGAGE", "CAPITAL", "MANAGEMENT", "MGMT", "DEVELOPMENT",
+  "BUILDERS", "HOMES", "CONDOMINIUM", "HOA", "COUNTY", "FNMA", "FHLMC",
+]);
+// Public owners that the words above miss
+const COMPANY_PHRASES = /\b(CITY|STATE|TOWN|VILLAGE|BOARD) OF\b/i;
+
+// "ET AL", "ETAL", "ET UX", "ET VIR": the record names only the first parties
+const ET_AL = /[\s,]*\bET\.?\s*(AL|UX|VIR)\b\.?/gi;
+
+// Names given only in one field are read from these, most specific first
+const NAME_FIELDS = [
+  "person_name",
+  "company_name",
+  "organization_name",
+  "business_name",
+  "owner_name",
+  "grantee_name",
+  "name",
+];
+
+type NameKind = "person" | "company" | "trust" | "estate" | "trustee";
+
+/**
+ * Turns owner and grantee names into typed person, company, trust and estate
+ * entities.
+ *
+ * Free-text names are read as "LAST FIRST MIDDLE" when they are all upper
+ * case or contain a comma (the county convention) and as "First Middle Last"
+ * otherwise. "&" and "AND" separate people, who share the surname when only
+ * one of them has it ("SMITH JOHN & MARY"); suffixes, titles, trustee markers
+ * and "ET AL" are taken out of the name and kept as data.
+ */
+export class NameParser {
+  // A person or company node, as linked from a sale or property
+  parseRecord(
+    data: Record<string, any>,
+    role: EntityRole,
+    lexiconClass?: string,
+  ): AssociatedEntity[] {
+    if (!data || typeof data !== "object") return [];
+
+    const fields: PersonName = {
+      prefix_name: this.text(data.prefix_name),
+      first_name: this.text(data.first_name),
+      middle_name: this.text(data.middle_name),
+      last_name: this.text(data.last_name),
+      suffix_name: this.text(data.suffix_name),
+    };
+    const given = [fields.first_name, fields.middle_name, fields.last_name]
+      .filter((part): part is string => !!part)
+      .join(" ");
+
+    if (given && lexiconClass !== "company") {
+      const kind = this.classify(this.tokens(given));
+      return kind === "person" || kind === "trustee"
+        ? this.structuredPerson(fields, role)
+        : this.parse(given, role, kind);
+    }
+
+    for (const field of NAME_FIELDS) {
+      const name = this.text(data[field]);
+      if (name) {
+        return this.parse(
+          name,
+          role,
+          lexiconClass === "company" ? "company" : undefined,
+        );
+      }
+    }
+    return [];
+  }
+
+  parse(
+    text: string,
+    role: EntityRole,
+    kind?: "person" | "company" | "trust" | "estate",
+  ): AssociatedEntity[] {
+    const sourceName = this.text(text);
+    if (!sourceName) return [];
+
+    const etAl = new RegExp(ET_AL.source, "i").test(sourceName);
+    const body = sourceName
+      .replace(ET_AL, "")
+      .replace(/[\s,;&]+$/, "")
+      .trim();
+    const words = body.split(" ");
+    const tokens = words.map((word) => this.token(word));
+
+    switch (kind ?? this.classify(tokens)) {
+      case "company":
+        return [
+          {
+            type: "company",
+            name: this.display(body, etAl),
+            role,
+            etAl,
+            sourceName,
+            data: { name: body },
+          },
+        ];
+      case "estate":
+        return [this.estateEntity(words, tokens, role, etAl, sourceName)];
+      case "trust": {
+        // "SMITH JOHN TR SMITH FAMILY TRUST": trustees, then the trust
+        const marker = tokens.findIndex((_, i) =>
+          this.isTrusteeMarker(tokens, i),
+        );
+        if (marker > 0) {
+          const trust = words
+            .slice(marker + 1)
+            .join(" ")
+            .replace(/^(OF\s+)?(THE\s+)?/i, "");
+          const trustees = this.parsePeople(
+            words.slice(0, marker).join(" ").replace(/,$/, ""),
+            "trustee",
+          );
+          return [this.trustEntity(trust, trustees, role, etAl, sourceName)];
+        }
+        return [this.trustEntity(body, [], role, etAl, sourceName)];
+      }
+      case "trustee": {
+        const names = words
+          .filter((_, i) => !this.isTrusteeMarker(tokens, i))
+          .join(" ");
+        const trustees = this.parsePeople(names, "trustee");
+        return [this.trustEntity(null, trustees, role, etAl, sourceName)];
+      }
+      default: {
+        const people = this.parsePeople(body, role);
+        return people.map((person, i) =>
+          i === people.length - 1 && etAl
+            ? { ...person, etAl, name: this.display(person.name, etAl) }
+            : person,
+        );
+      }
+    }
+  }
+
+  private classify(tokens: string[]): NameKind {
+    const has = (words: Set<string>) => tokens.some((t) => words.has(t));
+    if (
+      has(TRUST_WORDS) ||
+      tokens.some(
+        (token, i) => token === "TR" && TRUST_QUALIFIERS.has(tokens[i - 1]),
+      )
+    ) {
+      return "trust";
+    }
+    if (has(ESTATE_WORDS)) return "estate";
+    if (has(COMPANY_WORDS) || COMPANY_PHRASES.test(tokens.join(" "))) {
+      return "company";
+    }
+    if (tokens.some((_, i) => this.isTrusteeMarker(tokens, i))) {
+      return "trustee";
+    }
+    return "person";
+  }
+
+  private isTrusteeMarker(tokens: string[], i: number): boolean {
+    return (
+      TRUSTEE_MARKERS.has(tokens[i]) &&
+      !(tokens[i] === "TR" && TRUST_QUALIFIERS.has(tokens[i - 1]))
+    );
+  }
+
+  // People named together, sharing a surname where only one has it. County
+  // records put the surname first, but a name that opens with a title reads
+  // in natural order even in capitals ("DR JOHN SMITH").
+  private parsePeople(
+    text: string,
+    role: EntityRole,
+    lastFirst = text.includes(",") ||
+      (text === text.toUpperCase() && !PREFIXES.has(this.tokens(text)[0])),
+  ): AssociatedEntity[] {
+    const parts = text
+      .split(/\s*&\s*|\s+AND\s+/i)
+      .map((part) => part.trim())
+      .filter((part) => part.length > 0);
+
+    const names = parts.map((part) =>
+      this.personName(part, lastFirst, parts.length > 1),
+    );
+    for (const [i, name] of names.entries()) {
+      if (name.last_name) continue;
+      const shared =
+        names.slice(i + 1).find((other) => other.last_name) ??
+        names.slice(0, i).find((other) => other.last_name);
+      name.last_name = shared?.last_name ?? null;
+    }
+
+    return names.map((name, i) =>
+      this.personEntity(name, role, false, parts[i]),
+    );
+  }
+
+  // One person's name; with `partial`, a lone word is a given name
+  private personName(
+    text: string,
+    lastFirst: boolean,
+    partial: boolean,
+  ): PersonName {
+    const name: PersonName = {
+      prefix_name: null,
+      first_name: null,
+      middle_name: null,
+      last_name: null,
+      suffix_name: null,
+    };
+
+    // Titles and suffixes can sit anywhere in the name, except for the
+    // trailing ones; `end` is whether the part ends the name
+    const words = (part: string, end: boolean) =>
+      part
+        .split(/[\s,]+/)
+        .filter((word) => word.length > 0)
+        .filter((word, i, list) => {
+          const token = this.token(word);
+          if (PREFIXES.has(token) && !name.prefix_name) {
+            name.prefix_name = word;
+            return false;
+          }
+          const last = end && i === list.length - 1;
+          if (
+            SUFFIXES[token] &&
+            !name.suffix_name &&
+            (last || !TRAILING_SUFFIXES.has(token))
+          ) {
+            name.suffix_name = SUFFIXES[token];
+            return false;
+          }
+          return true;
+        });
+
+    let surname: string[];
+    let given: string[];
+    const comma = text.indexOf(",");
+    const all = comma >= 0 ? [] : words(text, true);
+    if (comma >= 0) {
+      surname = words(text.slice(0, comma), false);
+      given = words(text.slice(comma + 1), true);
+    } else if (all.length <= 1) {
+      if (partial) name.first_name = all[0] ?? null;
+      else name.last_name = all[0] ?? null;
+      return name;
+    } else if (lastFirst) {
+      let length = 1;
+      while (
+        length < all.length - 1 &&
+        SURNAME_PARTICLES.has(this.token(all[length - 1]))
+      ) {
+        length++;
+      }
+      surname = all.slice(0, length);
+      given = all.slice(length);
+    } else {
+      let start = all.length - 1;
+      while (start > 1 && SURNAME_PARTICLES.has(this.token(all[start - 1]))) {
+        start--;
+      }
+      surname = all.slice(start);
+      given = all.slice(0, start);
+    }
+
+    name.last_name = surname.join(" ") || null;
+    name.first_name = given[0] ?? null;
+    name.middle_name = given.slice(1).join(" ") || null;
+    return name;
+  }
+
+  // Structured names can still carry "JR", "TR" or "ET AL" in a field
+  private structuredPerson(
+    fields: PersonName,
+    role: EntityRole,
+  ): AssociatedEntity[] {
+    const name = { ...fields };
+    const sourceName = [
+      name.first_name,
+      name.middle_name,
+      name.last_name,
+      name.suffix_name,
+    ]
+      .filter((part): part is string => !!part)
+      .join(" ");
+
+    let etAl = false;
+    for (const key of ["first_name", "middle_name", "last_name"] as const) {
+      const value = name[key];
+      if (value && new RegExp(ET_AL.source, "i").test(value)) {
+        etAl = true;
+        name[key] = this.text(value.replace(ET_AL, ""));
+      }
+    }
+
+    let trustee = false;
+    const words = name.last_name?.split(" ") ?? [];
+    while (words.length > 1) {
+      const token = this.token(words[words.length - 1]);
+      if (TRUSTEE_MARKERS.has(token)) {
+        trustee = true;
+      } else if (SUFFIXES[token] && !name.suffix_name) {
+        name.suffix_name = SUFFIXES[token];
+      } else {
+        break;
+      }
+      words.pop();
+    }
+    if (words.length > 0) name.last_name = words.join(" ");
+    if (name.suffix_name) {
+      name.suffix_name =
+        SUFFIXES[this.token(name.suffix_name)] ?? name.suffix_name;
+    }
+
+    if (trustee) {
+      const person = this.personEntity(name, "trustee", false, sourceName);
+      return [this.trustEntity(null, [person], role, etAl, sourceName)];
+    }
+    return [this.personEntity(name, role, etAl, sourceName)];
+  }
+
+  private personEntity(
+    name: PersonName,
+    role: EntityRole,
+    etAl: boolean,
+    sourceName: string,
+  ): AssociatedEntity {
+    const given = [name.first_name, name.middle_name].filter(Boolean).join(" ");
+    const full = [name.last_name, given].filter(Boolean).join(", ");
+    return {
+      type: "person",
+      name: this.display(
+        name.suffix_name ? `${full} ${name.suffix_name}` : full,
+        etAl,
+      ),
+      role,
+      etAl,
+      sourceName,
+      data: name,
+    };
+  }
+
+  private trustEntity(
+    name: string | null,
+    trustees: AssociatedEntity[],
+    role: EntityRole,
+    etAl: boolean,
+    sourceName: string,
+  ): AssociatedEntity {
+    const trustName =
+      name ||
+      `${trustees.map((trustee) => trustee.name).join(" & ")}, ` +
+        (trustees.length > 1 ? "Trustees" : "Trustee");
+    const data: TrustDetails = { name: name || null, trustees };
+    return {
+      type: "trust",
+      name: this.display(trustName, etAl),
+      role,
+      etAl,
+      sourceName,
+      data,
+    };
+  }
+
+  // "ESTATE OF JOHN SMITH" names the decedent first name first, "SMITH JOHN
+  // EST" in the county order
+  private estateEntity(
+    words: string[],
+    tokens: string[],
+    role: EntityRole,
+    etAl: boolean,
+    sourceName: string,
+  ): AssociatedEntity {
+    const marker = tokens.findIndex((token) => ESTATE_WORDS.has(token));
+    const names = words
+      .filter((_, i) => !ESTATE_WORDS.has(tokens[i]))
+      .join(" ")
+      .replace(/^(OF\s+)?(THE\s+)?/i, "")
+      .replace(/,$/, "");
+    const decedents = names
+      ? this.parsePeople(names, "decedent", marker === 0 ? false : undefined)
+      : [];
+    const estateName = decedents.length
+      ? `${decedents.map((decedent) => decedent.name).join(" & ")}, Estate`
+      : words.join(" ");
+    const data: EstateDetails = { decedents };
+    return {
+      type: "estate",
+      name: this.display(estateName, etAl),
+      role,
+      etAl,
+      sourceName,
+      data,
+    };
+  }
+
+  private display(name: string, etAl: boolean): string {
+    return etAl ? `${name} et al.` : name;
+  }
+
+  private tokens(text: string): string[] {
+    return text.split(/[\s,]+/).filter(Boolean).map(this.token);
+  }
+
+  private token(word: string): string {
+    return word.replace(/[.,]/g, "").toUpperCase();
+  }
+
+  private text(value: unknown): string | null {
+    return typeof value === "string" && value.trim()
+      ? value.replace(/\s+/g, " ").trim()
+      : null;
+  }
+}
@@ -0,0 +1,150 @@
+import { Translator } from "./translator.js";
+
+export const UNIT_SYSTEMS = ["imperial", "metric"] as const;
+export type UnitSystem = (typeof UNIT_SYSTEMS)[number];
+
+const SQUARE_METERS_PER_SQFT = 0.09290304;
+const HECTARES_PER_ACRE = 0.40468564224;
+const METERS_PER_FOOT = 0.3048;
+
+export interface NumberFormatterOptions {
+  // BCP 47 tag, e.g. "en-GB"; en-US by default
+  locale?: string;
+  // ISO 4217 code; USD by default
+  currency?: string;
+  units?: UnitSystem;
+  // Directory of project message catalogs for the unit names
+  messages?: string;
+}
+
+/**
+ * Formats numbers, money and measurements for the configured locale.
+ *
+ * The lexicon records areas in square feet or acres and lengths in feet, and
+ * the data keeps them that way; metric deployments get them converted to
+ * square metres, hectares and metres only when they are shown. Unit names
+ * come from the `units` messages of the locale's catalog.
+ */
+export class NumberFormatter {
+  readonly locale: string;
+  readonly currency: string;
+  readonly units: UnitSystem;
+  private translator: Translator;
+
+  constructor(options: NumberFormatterOptions = {}) {
+    this.locale = options.locale ?? "en-US";
+    this.currency = (options.currency ?? "USD").toUpperCase();
+    this.units = options.units ?? "imperial";
+
+    try {
+      if (Intl.NumberFormat.supportedLocalesOf(this.locale).length === 0) {
+        throw new RangeError();
+      }
+    } catch {
+      throw new Error(`Unsupported locale: ${this.locale}`);
+    }
+    if (!/^[A-Z]{3}$/.test(this.currency)) {
+      throw new Error(`Unknown currency: ${this.currency}`);
+    }
+    if (!UNIT_SYSTEMS.includes(this.units)) {
+      throw new Error(
+        `Units must be "imperial" or "metric", got "${this.units}"`,
+      );
+    }
+    this.translator = new Translator(this.locale, options.messages);
+  }
+
+  // Values that are not numbers are returned as they are
+  number(value: unknown, maximumFractionDigits?: number): string {
+    const num = this.parse(value);
+    if (num === null) return this.passThrough(value);
+    return new Intl.NumberFormat(this.locale, { maximumFractionDigits }).format(
+      num,
+    );
+  }
+
+  // Always `digits` decimals, like Number#toFixed in the locale's notation
+  fixed(value: unknown, digits: number): string {
+    const num = this.parse(value);
+    if (num === null) return this.passThrough(value);
+    return new Intl.NumberFormat(this.locale, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    }).format(num);
+  }
+
+  // Whole amounts without cents, others with the currency's usual decimals
+  money(value: unknown): string {
+    const num = this.parse(value);
+    if (num === null) return this.passThrough(value);
+    return new Intl.NumberFormat(this.locale, {
+      style: "currency",
+      currency: this.currency,
+      ...(Number.isInteger(num) && { maximumFractionDigits: 0 }),
+    }).format(num);
+  }
+
+  // The currency's symbol alone, e.g. "$" or "€"
+  currencySymbol(): string {
+    return (
+      new Intl.NumberFormat(this.locale, {
+        style: "currency",
+        currency: this.currency,
+      })
+        .formatToParts(0)
+        .find((part) => part.type === "currency")?.value ?? this.currency
+    );
+  }
+
+  area(sqft: unknown): string {
+    const num = this.parse(sqft);
+    if (num === null) return this.passThrough(sqft);
+    return this.units === "metric"
+      ? this.unit("squareMeters", this.number(num * SQUARE_METERS_PER_SQFT, 0))
+      : this.unit("squareFeet", this.number(num, 0));
+  }
+
+  landArea(acres: unknown): string {
+    const num = this.parse(acres);
+    if (num === null) return this.passThrough(acres);
+    return this.units === "metric"
+      ? this.unit("hectares", this.number(num * HECTARES_PER_ACRE, 2))
+      : this.unit("acres", this.number(num, 2));
+  }
+
+  length(feet: unknown): string {
+    const num = this.parse(feet);
+    if (num === null) return this.passThrough(feet);
+    return this.units === "metric"
+      ? this.unit("meters", this.number(num * METERS_PER_FOOT, 1))
+      : this.unit("feet", this.number(num, 1));
+  }
+
+  pricePerArea(pricePerSqft: unknown): string {
+    const num = this.parse(pricePerSqft);
+    if (num === null) return this.passThrough(pricePerSqft);
+    return this.units === "metric"
+      ? this.unit(
+          "perSquareMeter",
+          this.money(Math.round(num / SQUARE_METERS_PER_SQFT)),
+        )
+      : this.unit("perSquareFoot", this.money(Math.round(num)));
+  }
+
+  private unit(name: string, value: string): string {
+    return this.translator.t(`units.${name}`, { value });
+  }
+
+  private parse(value: unknown): number | null {
+    if (typeof value === "number") return Number.isFinite(value) ? value : null;
+    if (typeof value === "string" && value.trim()) {
+      const num = Number(value.replace(/,/g, ""));
+      return Number.isFinite(num) ? num : null;
+    }
+    return null;
+  }
+
+  private passThrough(value: unknown): string {
+    return value === null || value === undefined ? "" : String(value);
+  }
+}
@@ -0,0 +1,142 @@
+import { TemplateData } from "../types/property.js";
+import { DataLoader } from "./data-loader.js";
+import type { PropertyData } from "./ipld-data-loader.js";
+
+export interface InspectedNode {
+  filePath: string;
+  data: any;
+  // Resolved links, by the path of the link in the node's data
+  relationships: Record<string, string>;
+}
+
+export interface FieldOrigin {
+  group: string;
+  cid: string;
+  // Every group that has a value for the field
+  groups: string[];
+  footnote?: number;
+}
+
+export interface PropertyInspection {
+  propertyId: string;
+  source: string;
+  dataGroups: { cid: string; label: string | null; schemaCid: string | null }[];
+  graph: Record<string, InspectedNode>;
+  propertyData: PropertyData;
+  templateData: TemplateData;
+  // Where each merged field came from, as "address.city_name" or
+  // "sales[0].purchase_price_amount"
+  provenance: Record<string, FieldOrigin>;
+}
+
+const PATH_SEGMENT = /\.?([^.[\]"]+)|\[(\d+)\]|\["([^"]*)"\]/y;
+
+/**
+ * Collects every stage of turning a property's input into template data, so a
+ * sheet that renders wrong can be traced back to the node a value came from.
+ */
+export class PropertyInspector {
+  private dataLoader: DataLoader;
+
+  constructor(dataLoader: DataLoader) {
+    this.dataLoader = dataLoader;
+  }
+
+  async inspect(propertyId: string): Promise<PropertyInspection> {
+    const { propertyGraph, propertyData, templateData } =
+      await this.dataLoader.loadPropertyStages(propertyId);
+
+    const graph: Record<string, InspectedNode> = {};
+    for (const node of propertyGraph.graph.values()) {
+      graph[node.cid] = {
+        filePath: node.filePath,
+        data: node.data,
+        relationships: Object.fromEntries(
+          [...node.relationships].map(([key, linked]) => [key, linked.cid]),
+        ),
+      };
+    }
+
+    return {
+      propertyId,
+      source: propertyGraph.source,
+      dataGroups: propertyGraph.dataGroups.map(({ node, schemaCid }) => ({
+        cid: node.cid,
+        label: typeof node.data?.label === "string" ? node.data.label : null,
+        schemaCid: schemaCid?.toString() ?? null,
+      })),
+      graph,
+      propertyData,
+      templateData,
+      provenance: this.provenance(propertyData),
+    };
+  }
+
+  // Paths start at the inspection ("graph", "propertyData", ...) or, for
+  // anything else, at the template data, e.g. "layouts.floors[0].rooms[0]"
+  select(inspection: PropertyInspection, selector: string): any {
+    const segments = this.parsePath(selector);
+    let value: any =
+      typeof segments[0] === "string" && segments[0] in inspection
+        ? inspection
+        : inspection.templateData;
+
+    let resolved = "";
+    for (const segment of segments) {
+      if (value === null || typeof value !== "object" || !(segment in value)) {
+        throw new Error(
+          `Nothing at "${selector}"${resolved ? ` (found "${resolved}")` : ""}`,
+        );
+      }
+      value = value[segment];
+      resolved +=
+        typeof segment === "number"
+          ? `[${segment}]`
+          : `${resolved ? "." : ""}${segment}`;
+    }
+    return value;
+  }
+
+  private parsePath(selector: string): (string | number)[] {
+    const segments: (string | number)[] = [];
+    PATH_SEGMENT.lastIndex = 0;
+    while (PATH_SEGMENT.lastIndex < selector.length) {
+      const match = PATH_SEGMENT.exec(selector);
+      if (!match) {
+        throw new Error(`Invalid path: ${selector}`);
+      }
+      const [, name, index, quoted] = match;
+      segments.push(index !== undefined ? Number(index) : (name ?? quoted));
+    }
+    if (segments.length === 0) {
+      throw new Error("Path is empty");
+    }
+    return segments;
+  }
+
+  private provenance(propertyData: PropertyData): Record<string, FieldOrigin> {
+    const origins: Record<string, FieldOrigin> = {};
+    const entities = propertyData.merged?.entities ?? {};
+
+    for (const [entity, merged] of Object.entries(entities)) {
+      const records = Array.isArray(merged)
+        ? merged.map((summary, i) => [`${entity}[${i}]`, summary] as const)
+        : merged
+          ? [[entity, merged] as const]
+          : [];
+
+      for (const [prefix, summary] of records) {
+        for (const [field, origin] of Object.entries(summary.fields)) {
+          if (field === "source_http_request") continue;
+          origins[`${prefix}.${field}`] = {
+            group: origin.group,
+            cid: origin.cid,
+            groups: origin.groups,
+            ...(origin.footnote !== undefined && { footnote: origin.footnote }),
+          };
+        }
+      }
+    }
+    return origins;
+  }
+}
@@ -0,0 +1,140 @@
+import {
+  RoomCountSource,
+  RoomCounts,
+  RoomDiscrepancy,
+  RoomReconciliation,
+  RoomRulesOptions,
+} from "../types/property.js";
+import defaultRules from "./room-rules.json" with { type: "json" };
+
+type RoomField = keyof RoomCounts;
+
+export interface RoomRules {
+  // Whose count is used when the layout and structure counts disagree
+  prefer: RoomCountSource;
+  // What one room of each layout space_type adds to the counts
+  spaceTypes: Record<string, Partial<RoomCounts>>;
+  // Structure fields holding counts, and what each of their units adds
+  structureFields: Record<RoomField, Record<string, number>>;
+}
+
+const ROOM_FIELDS: RoomField[] = ["bedrooms", "bathrooms"];
+
+/**
+ * Counts bedrooms and bathrooms from a property's layouts and from its
+ * structure record, and settles on one count of each.
+ *
+ * Layout rooms count by the weights of their exact `space_type`; types the
+ * rules do not list count for nothing. A source that counts zero is treated
+ * as not knowing, since layouts are often only the photographed rooms. When
+ * both sources know and disagree, the preferred one wins and the difference
+ * is reported.
+ */
+export class RoomClassifier {
+  private rules: RoomRules;
+
+  // Space types and structure fields add to the bundled rules; give a type a
+  // weight of 0 to stop it counting
+  constructor(rules: RoomRulesOptions = {}) {
+    this.rules = {
+      prefer: rules.prefer ?? (defaultRules.prefer as RoomCountSource),
+      spaceTypes: { ...defaultRules.spaceTypes, ...rules.spaceTypes },
+      structureFields: {
+        ...defaultRules.structureFields,
+        ...rules.structureFields,
+      },
+    };
+    if (this.rules.prefer !== "layout" && this.rules.prefer !== "structure") {
+      throw new Error(
+        `Room rules: "prefer" must be "layout" or "structure", got "${this.rules.prefer}"`,
+      );
+    }
+  }
+
+  classify(spaceType: string): RoomCounts {
+    const weights =
+      this.rules.spaceTypes[spaceType] ??
+      Object.entries(this.rules.spaceTypes).find(
+        ([type]) => type.toLowerCase() === spaceType.toLowerCase(),
+      )?.[1] ??
+      {};
+    return {
+      bedrooms: weights.bedrooms ?? 0,
+      bathrooms: weights.bathrooms ?? 0,
+    };
+  }
+
+  countLayouts(spaceTypes: string[]): Partial<RoomCounts> {
+    const totals: RoomCounts = { bedrooms: 0, bathrooms: 0 };
+    for (const spaceType of spaceTypes) {
+      const counts = this.classify(spaceType);
+      totals.bedrooms += counts.bedrooms;
+      totals.bathrooms += counts.bathrooms;
+    }
+    return this.known(totals);
+  }
+
+  countStructure(structure: Record<string, any> | null): Partial<RoomCounts> {
+    const totals: RoomCounts = { bedrooms: 0, bathrooms: 0 };
+    for (const field of ROOM_FIELDS) {
+      for (const [name, weight] of Object.entries(
+        this.rules.structureFields[field] ?? {},
+      )) {
+        const value = parseFloat(structure?.[name]);
+        if (Number.isFinite(value)) totals[field] += value * weight;
+      }
+    }
+    return this.known(totals);
+  }
+
+  reconcile(
+    layout: Partial<RoomCounts>,
+    structure: Partial<RoomCounts>,
+  ): RoomReconciliation {
+    const reconciliation: RoomReconciliation = {
+      bedrooms: 0,
+      bathrooms: 0,
+      sources: { bedrooms: null, bathrooms: null },
+      layout,
+      structure,
+      discrepancies: [],
+    };
+    const counts = { layout, structure };
+    const order: RoomCountSource[] =
+      this.rules.prefer === "layout"
+        ? ["layout", "structure"]
+        : ["structure", "layout"];
+
+    for (const field of ROOM_FIELDS) {
+      const source = order.find((name) => counts[name][field] !== undefined);
+      if (!source) continue;
+      reconciliation[field] = counts[source][field]!;
+      reconciliation.sources[field] = source;
+
+      if (
+        layout[field] !== undefined &&
+        structure[field] !== undefined &&
+        layout[field] !== structure[field]
+      ) {
+        reconciliation.discrepancies.push({
+          field,
+          layout: layout[field]!,
+          structure: structure[field]!,
+          used: source,
+        });
+      }
+    }
+    return reconciliation;
+  }
+
+  static describe(discrepancy: RoomDiscrepancy): string {
+    const { field, layout, structure, used } = discrepancy;
+    return `layouts count ${layout} ${field}, the structure record ${structure}; using the ${used} count`;
+  }
+
+  private known(totals: RoomCounts): Partial<RoomCounts> {
+    return Object.fromEntries(
+      Object.entries(totals).filter(([, count]) => count > 0),
+    );
+  }
+}
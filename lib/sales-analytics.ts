@@ -0,0 +1,187 @@
+import {
+  NonArmsLengthReason,
+  SaleAnalytics,
+  SalesAnalyticsSummary,
+} from "../types/property.js";
+import { DateFormatter } from "./date-formatter.js";
+
+export interface SaleRecord {
+  date: string | null;
+  price: number | null;
+}
+
+type TimedSale = SaleRecord & { index: number; time: number | null };
+
+// Deeds for less than this are gifts, family transfers or corrections
+// recorded for a nominal consideration ($0, $10, $100)
+export const NOMINAL_PRICE_LIMIT = 1000;
+// A sale for under this share of the previous price is not a market sale
+const DISTRESSED_PRICE_SHARE = 0.2;
+// Annualising shorter spans turns ordinary noise into huge rates
+const MIN_APPRECIATION_YEARS = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365.25;
+
+/**
+ * Compares each sale of a property with the previous market sale.
+ *
+ * Non-arm's-length transfers are flagged and skipped as a baseline, so a $100
+ * deed between relatives does not show up as a 99% loss followed by a huge
+ * gain. Holding periods run from each dated sale to the next dated transfer of
+ * any kind, or to today for the current owner.
+ */
+export class SalesAnalytics {
+  private now: Date;
+  private dates: DateFormatter;
+
+  constructor(
+    now: Date = new Date(),
+    dates: DateFormatter = new DateFormatter(),
+  ) {
+    this.now = now;
+    this.dates = dates;
+  }
+
+  // Analytics in the order of `sales`, plus a summary over all of them
+  analyze(
+    sales: SaleRecord[],
+    livableArea: number | null,
+  ): { sales: SaleAnalytics[]; summary: SalesAnalyticsSummary } {
+    const timed = sales.map((sale, index) => ({
+      ...sale,
+      index,
+      time: this.dates.utcDay(sale.date),
+    }));
+    // Undated sales cannot be placed between the others, so they get no
+    // price change, holding period or current-owner status
+    const dated = timed
+      .filter((sale): sale is TimedSale & { time: number } => sale.time !== null)
+      .sort((a, b) => a.time - b.time);
+    const area = livableArea && livableArea > 0 ? livableArea : null;
+
+    const results: SaleAnalytics[] = new Array(sales.length);
+    for (const sale of timed) {
+      if (sale.time !== null) continue;
+      const reason = this.nonArmsLengthReason(sale.price, null);
+      results[sale.index] = {
+        ...this.empty(reason),
+        pricePerSqft:
+          reason === null && area ? this.round(sale.price! / area, 0) : null,
+      };
+    }
+
+    let previous: TimedSale | null = null;
+    for (const [i, sale] of dated.entries()) {
+      const reason = this.nonArmsLengthReason(sale.price, previous?.price);
+      const next = dated[i + 1];
+      const heldUntil = next?.time ?? this.dates.utcDay(this.now)!;
+      const heldDays = Math.floor((heldUntil - sale.time) / DAY_MS);
+
+      const analytics: SaleAnalytics = {
+        ...this.empty(reason),
+        holdingPeriodDays: heldDays,
+        holdingPeriodYears: this.round(heldDays / YEAR_DAYS, 1),
+        currentOwner: !next,
+        pricePerSqft:
+          reason === null && area ? this.round(sale.price! / area, 0) : null,
+      };
+
+      if (reason === null && previous) {
+        const change = sale.price! - previous.price!;
+        analytics.priceChange = change;
+        analytics.priceChangePercent = this.round(
+          (change / previous.price!) * 100,
+          1,
+        );
+        const years = (sale.time - previous.time!) / DAY_MS / YEAR_DAYS;
+        if (years >= MIN_APPRECIATION_YEARS) {
+          analytics.annualAppreciationPercent = this.round(
+            ((sale.price! / previous.price!) ** (1 / years) - 1) * 100,
+            1,
+          );
+        }
+      }
+
+      results[sale.index] = analytics;
+      if (reason === null) previous = sale;
+    }
+
+    return {
+      sales: results,
+      summary: this.summarize(dated, results),
+    };
+  }
+
+  private empty(reason: NonArmsLengthReason | null): SaleAnalytics {
+    return {
+      nonArmsLength: reason !== null,
+      nonArmsLengthReason: reason,
+      priceChange: null,
+      priceChangePercent: null,
+      annualAppreciationPercent: null,
+      holdingPeriodDays: null,
+      holdingPeriodYears: null,
+      currentOwner: false,
+      pricePerSqft: null,
+    };
+  }
+
+  // Counts cover every sale; appreciation, holding periods and the latest
+  // price per square foot come from the dated ones
+  private summarize(
+    dated: TimedSale[],
+    results: SaleAnalytics[],
+  ): SalesAnalyticsSummary {
+    const market = dated.filter((sale) => !results[sale.index].nonArmsLength);
+    const first = market[0];
+    const last = market[market.length - 1];
+    const years =
+      first && last ? (last.time! - first.time!) / DAY_MS / YEAR_DAYS : 0;
+
+    // Completed holding periods only; the current owner is still holding
+    const holdings = dated
+      .map((sale) => results[sale.index])
+      .filter((r) => !r.currentOwner && r.holdingPeriodDays !== null)
+      .map((r) => r.holdingPeriodDays! / YEAR_DAYS);
+
+    return {
+      sales: results.length,
+      marketSales: results.filter((r) => !r.nonArmsLength).length,
+      nonArmsLengthSales: results.filter((r) => r.nonArmsLength).length,
+      totalAppreciationPercent:
+        market.length > 1
+          ? this.round((last.price! / first.price! - 1) * 100, 1)
+          : null,
+      annualAppreciationPercent:
+        market.length > 1 && years >= MIN_APPRECIATION_YEARS
+          ? this.round(((last.price! / first.price!) ** (1 / years) - 1) * 100, 1)
+          : null,
+      averageHoldingPeriodYears:
+        holdings.length > 0
+          ? this.round(
+              holdings.reduce((sum, y) => sum + y, 0) / holdings.length,
+              1,
+            )
+          : null,
+      latestPricePerSqft: last ? results[last.index].pricePerSqft : null,
+    };
+  }
+
+  private nonArmsLengthReason(
+    price: number | null,
+    previousPrice: number | null | undefined,
+  ): NonArmsLengthReason | null {
+    if (price === null || !Number.isFinite(price)) return "noPrice";
+    if (price < NOMINAL_PRICE_LIMIT) return "nominalPrice";
+    if (previousPrice && price < previousPrice * DISTRESSED_PRICE_SHARE) {
+      return "farBelowPrevious";
+    }
+    return null;
+  }
+
+  private round(value: number, digits: number): number {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+}
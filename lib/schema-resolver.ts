@@ -0,0 +1,124 @@
+import path from "path";
+import fs from "fs-extra";
+import { CID } from "multiformats/cid";
+import { Logger } from "./logger.js";
+import { JsonSchema } from "../types/schema.js";
+
+export const DEFAULT_SCHEMA_GATEWAY = "https://ipfs.io/ipfs/";
+export const DEFAULT_SCHEMA_CACHE_DIR = path.join(".factsheet-cache", "schemas");
+const GATEWAY_TIMEOUT_MS = 15000;
+
+export interface SchemaResolverOptions {
+  schemaDir?: string;
+  cacheDir?: string | false;
+  gateway?: string;
+  offline?: boolean;
+}
+
+/**
+ * Resolves data-group schemas by CID.
+ *
+ * Lookup order: in-memory cache, local schema directory, on-disk cache, and
+ * finally the IPFS gateway (unless running offline). Anything fetched from the
+ * gateway is written to the on-disk cache so later builds can run without
+ * network access.
+ */
+export class SchemaResolver {
+  private logger: Logger;
+  private schemaDir: string | null;
+  private cacheDir: string | null;
+  private gateway: string;
+  private offline: boolean;
+  private memoryCache: Map<string, Promise<JsonSchema>> = new Map();
+
+  constructor(options: SchemaResolverOptions, logger: Logger) {
+    this.logger = logger;
+    this.schemaDir = options.schemaDir ? path.resolve(options.schemaDir) : null;
+    this.cacheDir =
+      options.cacheDir === false
+        ? null
+        : path.resolve(options.cacheDir || DEFAULT_SCHEMA_CACHE_DIR);
+    this.gateway = options.gateway || DEFAULT_SCHEMA_GATEWAY;
+    this.offline = options.offline || false;
+  }
+
+  async resolve(cid: CID): Promise<JsonSchema> {
+    const key = cid.toString();
+    if (!this.memoryCache.has(key)) {
+      const pending = this.load(key);
+      // Don't keep failed lookups around, a later call may succeed
+      pending.catch(() => this.memoryCache.delete(key));
+      this.memoryCache.set(key, pending);
+    }
+    return this.memoryCache.get(key)!;
+  }
+
+  private async load(key: string): Promise<JsonSchema> {
+    for (const dir of [this.schemaDir, this.cacheDir]) {
+      if (!dir) continue;
+      const schema = await this.readFromDir(dir, key);
+      if (schema) {
+        this.logger.debug(`Resolved schema ${key} from ${dir}`);
+        return schema;
+      }
+    }
+
+    if (this.offline) {
+      throw new Error(
+        `Schema ${key} not found locally and network access is disabled`,
+      );
+    }
+
+    const schema = await this.fetchFromGateway(key);
+    await this.writeToCache(key, schema);
+    return schema;
+  }
+
+  private async readFromDir(
+    dir: string,
+    key: string,
+  ): Promise<JsonSchema | null> {
+    const schemaPath = path.join(dir, `${key}.json`);
+    if (!(await fs.pathExists(schemaPath))) {
+      return null;
+    }
+    try {
+      return (await fs.readJson(schemaPath)) as JsonSchema;
+    } catch (error) {
+      this.logger.warn(
+        `Ignoring unreadable schema file ${schemaPath}: ${(error as Error).message}`,
+      );
+      return null;
+    }
+  }
+
+  private async fetchFromGateway(key: string): Promise<JsonSchema> {
+    const base = this.gateway.endsWith("/") ? this.gateway : `${this.gateway}/`;
+    const url = `${base}${key}`;
+    this.logger.debug(`Fetching schema ${key} from ${url}`);
+
+    const response = await fetch(url, {
+      signal: AbortSignal.timeout(GATEWAY_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(
+        `Failed to fetch schema ${key}: ${response.status} ${response.statusText}`,
+      );
+    }
+    return JSON.parse(await response.text()) as JsonSchema;
+  }
+
+  private async writeToCache(key: string, schema: JsonSchema): Promise<void> {
+    if (!this.cacheDir) return;
+    try {
+      await fs.ensureDir(this.cacheDir);
+      await fs.writeJson(path.join(this.cacheDir, `${key}.json`), schema, {
+        spaces: 2,
+      });
+    } catch (error) {
+      this.logger.warn(
+        `Could not cache schema ${key}: ${(error as Error).message}`,
+      );
+    }
+  }
+}
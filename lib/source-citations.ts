@@ -0,0 +1,139 @@
+import type { MergedNode } from "./data-group-merger.js";
+
+export interface QueryParameter {
+  name: string;
+  values: string[];
+}
+
+export interface SourceCitation {
+  // Footnote number, in the order the sources are first cited
+  number: number;
+  method: string;
+  url: string;
+  // The URL with its query parameters applied
+  href: string;
+  host: string | null;
+  query: QueryParameter[];
+  body: string | null;
+  // Nodes and data groups whose values came from this request
+  cids: string[];
+  groups: string[];
+}
+
+/**
+ * Numbers the `source_http_request`s a fact sheet's values came from.
+ *
+ * Requests that only differ in how their query is spelled out (in the URL or
+ * in `multiValueQueryString`) are the same source and share one footnote.
+ */
+export class SourceCitations {
+  private citations: SourceCitation[] = [];
+  private byRequest: Map<string, SourceCitation> = new Map();
+
+  cite(request: any, cid: string, group?: string): number | null {
+    const resolved = this.resolve(request);
+    if (!resolved) return null;
+
+    const key = JSON.stringify([
+      resolved.method,
+      resolved.href,
+      resolved.body,
+    ]);
+    let citation = this.byRequest.get(key);
+    if (!citation) {
+      citation = {
+        ...resolved,
+        number: this.citations.length + 1,
+        cids: [],
+        groups: [],
+      };
+      this.citations.push(citation);
+      this.byRequest.set(key, citation);
+    }
+
+    if (!citation.cids.includes(cid)) citation.cids.push(cid);
+    if (group && !citation.groups.includes(group)) citation.groups.push(group);
+    return citation.number;
+  }
+
+  // Cites every field that has a value and records the footnote on the
+  // field. Returns the footnotes of the node, lowest first.
+  citeNode(node: MergedNode | undefined): number[] {
+    if (!node) return [];
+
+    for (const [key, field] of Object.entries(node.fields)) {
+      if (key === "source_http_request" || field.value == null) continue;
+      const footnote = this.cite(
+        field.source_http_request,
+        field.cid,
+        field.group,
+      );
+      if (footnote !== null) field.footnote = footnote;
+    }
+    return SourceCitations.footnotes(node);
+  }
+
+  citeNodes(nodes: MergedNode[]): number[] {
+    return SourceCitations.union(...nodes.map((node) => this.citeNode(node)));
+  }
+
+  list(): SourceCitation[] {
+    return this.citations;
+  }
+
+  static footnotes(node: MergedNode): number[] {
+    return SourceCitations.union(
+      Object.values(node.fields)
+        .map((field) => field.footnote)
+        .filter((n): n is number => n !== undefined),
+    );
+  }
+
+  static union(...lists: number[][]): number[] {
+    return [...new Set(lists.flat())].sort((a, b) => a - b);
+  }
+
+  private resolve(
+    request: any,
+  ): Omit<SourceCitation, "number" | "cids" | "groups"> | null {
+    if (!request || typeof request.url !== "string") return null;
+
+    let url: URL;
+    try {
+      url = new URL(request.url);
+    } catch {
+      return null;
+    }
+
+    const multiValue: Record<string, string[]> =
+      request.multiValueQueryString ?? {};
+    for (const [name, values] of Object.entries(multiValue)) {
+      for (const value of values ?? []) {
+        url.searchParams.append(name, String(value));
+      }
+    }
+
+    const query: QueryParameter[] = [];
+    for (const [name, value] of url.searchParams) {
+      const parameter = query.find((p) => p.name === name);
+      if (parameter) parameter.values.push(value);
+      else query.push({ name, values: [value] });
+    }
+
+    const body =
+      request.body == null
+        ? null
+        : typeof request.body === "string"
+          ? request.body
+          : JSON.stringify(request.body);
+
+    return {
+      method: (request.method || "GET").toUpperCase(),
+      url: `${url.origin}${url.pathname}`,
+      href: url.toString(),
+      host: url.host || null,
+      query,
+      body,
+    };
+  }
+}
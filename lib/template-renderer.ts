@@ -1,5 +1,4 @@
 import nunjucks from "nunjucks";
-import { DateTime } from "luxon";
 import path from "path";
 import fs from "fs-extra";
 import { fileURLToPath } from "url";
@@ -7,6 +6,9 @@ import { dirname } from "path";
 import { BuilderOptions, TemplateData } from "../types/property.js";
 import { Minifier } from "./minifier.js";
 import { Logger } from "./logger.js";
+import { DateFormatter } from "./date-formatter.js";
+import { NumberFormatter } from "./number-formatter.js";
+import { Translator } from "./translator.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -15,9 +17,24 @@ export class TemplateRenderer {
   private options: BuilderOptions;
   private env: nunjucks.Environment;
   private minifier: Minifier;
+  private dates: DateFormatter;
+  private numbers: NumberFormatter;
+  private translator: Translator;
 
   constructor(options: BuilderOptions) {
     this.options = options;
+    this.numbers = new NumberFormatter({
+      locale: options.locale,
+      currency: options.currency,
+      units: options.units,
+      messages: options.messages,
+    });
+    this.dates = new DateFormatter({
+      zone: options.timeZone,
+      formats: options.dateFormats,
+      locale: this.numbers.locale,
+    });
+    this.translator = new Translator(this.numbers.locale, options.messages);
 
     // Set up Nunjucks environment
     const templatesPath = path.join(__dirname, "..", "..", "templates");
@@ -38,23 +55,31 @@ export class TemplateRenderer {
     this.setupFilters();
   }
 
+  // Whether the page's locale has a message catalog; pages of locales
+  // without one are in English
+  hasMessages(): boolean {
+    return this.translator.hasCatalog();
+  }
+
   private setupFilters(): void {
+    // Template strings from the locale's message catalog
+    this.env.addGlobal(
+      "t",
+      (key: string, params?: Record<string, any>, fallback?: string) =>
+        this.translator.t(key, params, fallback),
+    );
+
     // Port filters from .eleventy.js
-    this.env.addFilter("readableDate", (dateObj: Date) => {
-      return DateTime.fromJSDate(dateObj, { zone: "utc" }).toFormat(
-        "dd LLL yyyy",
-      );
+    this.env.addFilter("readableDate", (date: Date | string) => {
+      return this.dates.format(date, "dd LLL yyyy");
     });
 
-    this.env.addFilter("toFixed1", function(value: any): string | any {
-      const num = typeof value === "number" ? value : parseFloat(value);
-      return isNaN(num) ? value : num.toFixed(1);
+    this.env.addFilter("toFixed1", (value: any) => {
+      return this.numbers.fixed(value, 1);
     });
 
-    this.env.addFilter("htmlDateString", (dateObj: Date) => {
-      return DateTime.fromJSDate(dateObj, { zone: "utc" }).toFormat(
-        "yyyy-LL-dd",
-      );
+    this.env.addFilter("htmlDateString", (date: Date | string) => {
+      return this.dates.format(date, "iso");
     });
 
     this.env.addFilter("head", (array: any[], n: number) => {
@@ -86,48 +111,48 @@ export class TemplateRenderer {
     });
 
     this.env.addFilter("formatCurrency", (value: any) => {
-      const num = typeof value === "number" ? value : parseFloat(value);
-      if (isNaN(num)) return value;
-      return new Intl.NumberFormat("en-US", {
-        style: "currency",
-        currency: "USD",
-        minimumFractionDigits: 0,
-        maximumFractionDigits: 0,
-      }).format(num);
+      return this.numbers.money(value);
     });
 
     this.env.addFilter("formatNumber", (value: any) => {
-      const num = typeof value === "number" ? value : parseFloat(value);
-      if (isNaN(num)) return value;
-      return new Intl.NumberFormat("en-US").format(num);
-    });
-
-    this.env.addFilter("formatDate", (dateStr: string) => {
-      if (!dateStr) return "";
-      try {
-        const date = new Date(dateStr);
-        return date.toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-          day: "numeric",
-        });
-      } catch (e) {
-        return dateStr;
-      }
+      return this.numbers.number(value);
     });
 
-    this.env.addFilter("formatYear", (dateStr: string) => {
-      if (!dateStr) return "";
-      try {
-        const date = new Date(dateStr);
-        return date.getFullYear();
-      } catch (e) {
-        return dateStr;
-      }
+    // Each takes a value in the lexicon unit it is named after and shows it
+    // in the configured unit system
+    this.env.addFilter("squareFeet", (value: any) => {
+      return this.numbers.area(value);
+    });
+
+    this.env.addFilter("acres", (value: any) => {
+      return this.numbers.landArea(value);
     });
 
+    this.env.addFilter("feet", (value: any) => {
+      return this.numbers.length(value);
+    });
+
+    this.env.addFilter("pricePerSqft", (value: any) => {
+      return this.numbers.pricePerArea(value);
+    });
+
+    // A named format (short, long, month, year, iso or one from the config)
+    // or Luxon format tokens
+    this.env.addFilter("formatDate", (date: Date | string, format?: string) => {
+      return this.dates.format(date, format);
+    });
+
+    this.env.addFilter("formatYear", (date: Date | string) => {
+      return this.dates.format(date, "year");
+    });
+
+    // For inline scripts: "<", ">" and "&" are escaped so a value such as a
+    // schema title containing "</script>" cannot end the script element
     this.env.addFilter("json", (value: any) => {
-      return JSON.stringify(value, null, 2);
+      return (JSON.stringify(value, null, 2) ?? "null").replace(
+        /[<>&\u2028\u2029]/g,
+        (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, "0")}`,
+      );
     });
 
     this.env.addFilter("keys", (obj: Record<string, any>) => {
@@ -408,9 +433,7 @@ export class TemplateRenderer {
 
     // Add number filter for numeric formatting
     this.env.addFilter("number", (value: any) => {
-      const num = typeof value === "number" ? value : parseFloat(value);
-      if (isNaN(num)) return value;
-      return new Intl.NumberFormat("en-US").format(num);
+      return this.numbers.number(value);
     });
   }
 
@@ -454,11 +477,23 @@ export class TemplateRenderer {
         propertyData.building?.living_area || propertyData.property?.sqft || 0,
     };
 
+    // Language variants live under their locale, and link to each other
+    const domain = this.options.domain || "https://elephant.xyz/homes/public";
+    const locales = this.options.locales ?? [];
+    const alternates = locales.map((locale) => ({
+      locale,
+      href: `${domain}/homes/${locale}/${propertyId}`,
+    }));
+
     // Prepare template data
     const templateData: any = {
       propertyId,
       property: propertyData,
       property_id: propertyId, // For template compatibility
+      page_path:
+        locales.length > 0 ? `${this.numbers.locale}/${propertyId}` : propertyId,
+      alternates,
+      client_messages: this.translator.group("client"),
       homes: {
         [propertyId]: {
           ...propertyData,
@@ -491,17 +526,19 @@ export class TemplateRenderer {
       property_config: propertyConfig, // For floorplan section
       propertyImages, // List of available property-specific images
       config: {
-        domain: this.options.domain || "https://elephant.xyz/homes/public",
+        domain,
         inlineCss: this.options.inlineCss || false,
         inlineJs: this.options.inlineJs || false,
         dev: this.options.dev || false,
+        locale: this.numbers.locale,
+        currency: this.numbers.currency,
+        currencySymbol: this.numbers.currencySymbol(),
+        units: this.numbers.units,
       },
       buildTime: new Date().toISOString(),
       flattenedData: propertyData.flattenedData,
     };
 
-    console.log("propertyData", propertyData);
-
     // Handle inline CSS if requested
     if (this.options.inlineCss) {
       const cssFiles = ["root_style.css", "property.css"];
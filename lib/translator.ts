@@ -0,0 +1,152 @@
+import fs from "fs-extra";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const BUNDLED_MESSAGES_DIR = path.join(
+  __dirname,
+  "..",
+  "..",
+  "templates",
+  "locales",
+);
+export const FALLBACK_LOCALE = "en";
+
+// A message, plural forms keyed by Intl.PluralRules category, or a group of
+// messages
+type Plural = Partial<Record<Intl.LDMLPluralRule, string>> & { other: string };
+export interface MessageCatalog {
+  [key: string]: string | Plural | MessageCatalog;
+}
+
+export type MessageParams = Record<string, string | number | null | undefined>;
+
+/**
+ * Looks up the template strings of one locale in JSON message catalogs.
+ *
+ * Keys are dotted paths into `<locale>.json`. A message missing from the
+ * locale's catalog is taken from its language ("es" for "es-MX") and then
+ * from English, so a partial catalog still renders a whole page. Messages
+ * with plural forms pick one by the `count` parameter, which is formatted
+ * for the locale; other parameters are inserted as they are.
+ */
+export class Translator {
+  readonly locale: string;
+  // Catalogs in lookup order
+  private catalogs: MessageCatalog[];
+  private plurals: Intl.PluralRules;
+  private numbers: Intl.NumberFormat;
+  private translated = false;
+
+  // `messagesDir` holds project catalogs whose messages replace the bundled
+  // ones of the same locale
+  constructor(locale: string = FALLBACK_LOCALE, messagesDir?: string) {
+    if (messagesDir && !fs.pathExistsSync(messagesDir)) {
+      throw new Error(`Message catalog directory does not exist: ${messagesDir}`);
+    }
+    this.locale = locale;
+    this.plurals = new Intl.PluralRules(locale);
+    this.numbers = new Intl.NumberFormat(locale);
+
+    const language = locale.split("-")[0];
+    const chain = [...new Set([locale, language, FALLBACK_LOCALE])];
+    this.catalogs = [];
+    for (const name of chain) {
+      for (const dir of [messagesDir, BUNDLED_MESSAGES_DIR]) {
+        const file = dir && path.join(dir, `${name}.json`);
+        if (!file || !fs.pathExistsSync(file)) continue;
+        this.catalogs.push(fs.readJsonSync(file));
+        if (name !== FALLBACK_LOCALE) this.translated = true;
+      }
+    }
+    if (language === FALLBACK_LOCALE) this.translated = true;
+  }
+
+  // Whether the locale or its language has a catalog; if not, every message
+  // is English
+  hasCatalog(): boolean {
+    return this.translated;
+  }
+
+  // The message for `key`; `fallback`, or else the key itself, when no
+  // catalog has it
+  t(key: string, params: MessageParams = {}, fallback?: string): string {
+    const message = this.lookup(key) ?? fallback;
+    if (message === undefined) return key;
+
+    let text: string;
+    if (typeof message === "string") {
+      text = message;
+    } else {
+      const count = Number(params.count ?? 0);
+      text = message[this.plurals.select(count)] ?? message.other;
+    }
+    return this.interpolate(text, params);
+  }
+
+  // Every message under `prefix`, flattened to dotted keys below it; plural
+  // messages keep their "other" form
+  group(prefix: string): Record<string, string> {
+    const messages: Record<string, string> = {};
+    for (const catalog of [...this.catalogs].reverse()) {
+      const group = this.resolve(catalog, prefix);
+      if (group && typeof group === "object" && !this.isPlural(group)) {
+        this.flatten(group as MessageCatalog, "", messages);
+      }
+    }
+    return messages;
+  }
+
+  private lookup(key: string): string | Plural | undefined {
+    for (const catalog of this.catalogs) {
+      const message = this.resolve(catalog, key);
+      if (typeof message === "string") return message;
+      if (message && this.isPlural(message)) return message as Plural;
+    }
+    return undefined;
+  }
+
+  private resolve(
+    catalog: MessageCatalog,
+    key: string,
+  ): MessageCatalog[string] | undefined {
+    let node: MessageCatalog[string] | undefined = catalog;
+    for (const part of key.split(".")) {
+      if (!node || typeof node !== "object") return undefined;
+      node = (node as MessageCatalog)[part];
+    }
+    return node;
+  }
+
+  private flatten(
+    group: MessageCatalog,
+    prefix: string,
+    messages: Record<string, string>,
+  ): void {
+    for (const [key, value] of Object.entries(group)) {
+      if (typeof value === "string") {
+        messages[prefix + key] = value;
+      } else if (this.isPlural(value)) {
+        messages[prefix + key] = (value as Plural).other;
+      } else {
+        this.flatten(value as MessageCatalog, `${prefix}${key}.`, messages);
+      }
+    }
+  }
+
+  private isPlural(node: object): boolean {
+    return typeof (node as Plural).other === "string";
+  }
+
+  private interpolate(text: string, params: MessageParams): string {
+    return text.replace(/\{(\w+)\}/g, (match, name: string) => {
+      const value = params[name];
+      if (value === undefined || value === null) return match;
+      if (name === "count" && typeof value === "number") {
+        return this.numbers.format(value);
+      }
+      return String(value);
+    });
+  }
+}
@@ -106,6 +106,17 @@ function setupNavigation() {
   });
 }
 
+/**
+ * A message in the page's language; the build embeds the messages this
+ * script needs in the page
+ */
+function message(key, params = {}) {
+  const messages = window.factSheetMessages || {};
+  return (messages[key] || key).replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? params[name] : match,
+  );
+}
+
 // eslint-disable-next-line no-unused-vars
 function toggleMoreInfo() {
   const content = document.querySelector(".expanded-content");
@@ -115,11 +126,11 @@ function toggleMoreInfo() {
   if (content.style.display === "none") {
     content.style.display = "block";
     arrow.classList.add("rotated");
-    button.textContent = "Less Info";
+    button.textContent = message("lessInfo");
   } else {
     content.style.display = "none";
     arrow.classList.remove("rotated");
-    button.textContent = "More Info";
+    button.textContent = message("moreInfo");
   }
 }
 
@@ -135,11 +146,11 @@ function toggleMoreSalesData() {
 
   if (additionalSales.style.display === "none") {
     additionalSales.style.display = "block";
-    buttonText.textContent = "Show Less Sale Events";
+    buttonText.textContent = message("showLessSales");
     arrow.style.transform = "rotate(180deg)";
   } else {
     additionalSales.style.display = "none";
-    buttonText.textContent = "Show More Sale Events";
+    buttonText.textContent = message("showMoreSales");
     arrow.style.transform = "rotate(0deg)";
   }
 }
@@ -156,11 +167,11 @@ function toggleMoreTaxData() {
 
   if (additionalTaxes.style.display === "none") {
     additionalTaxes.style.display = "block";
-    buttonText.textContent = "Show Less Tax Years";
+    buttonText.textContent = message("showLessTaxYears");
     arrow.style.transform = "rotate(180deg)";
   } else {
     additionalTaxes.style.display = "none";
-    buttonText.textContent = "Show More Tax Years";
+    buttonText.textContent = message("showMoreTaxYears");
     arrow.style.transform = "rotate(0deg)";
   }
 }
@@ -179,11 +190,11 @@ function toggleProviderInfo(button) {
 
   if (expandedContent.style.display === "none") {
     expandedContent.style.display = "block";
-    buttonText.textContent = "Less Info";
+    buttonText.textContent = message("lessInfo");
     arrow.style.transform = "rotate(180deg)";
   } else {
     expandedContent.style.display = "none";
-    buttonText.textContent = "More Info";
+    buttonText.textContent = message("moreInfo");
     arrow.style.transform = "rotate(0deg)";
   }
 }
@@ -230,6 +241,29 @@ function setupChartTabs() {
   });
 }
 
+/**
+ * Formats an amount in the page's locale and currency, which the build sets
+ * on the <html> element
+ */
+function formatMoney(value, options = {}) {
+  const root = document.documentElement;
+  return new Intl.NumberFormat(root.lang || "en-US", {
+    style: "currency",
+    currency: root.dataset.currency || "USD",
+    maximumFractionDigits: 0,
+    ...options,
+  }).format(value);
+}
+
+/**
+ * Formats a price per square foot in the page's unit system
+ */
+function formatPricePerArea(pricePerSqft) {
+  return document.documentElement.dataset.units === "metric"
+    ? message("perSquareMeter", { value: formatMoney(pricePerSqft / 0.09290304) })
+    : message("perSquareFoot", { value: formatMoney(pricePerSqft) });
+}
+
 /**
  * Helper function to get CSS custom property with fallback
  */
@@ -268,7 +302,10 @@ function createPriceLabelsPlugin(pluginId) {
         const x = point.x;
         const y = point.y;
         // Format label as $XXX.Xk
-        const label = `$${(value / 1000).toFixed(1)}k`;
+        const label = formatMoney(value, {
+          notation: "compact",
+          maximumFractionDigits: 1,
+        });
 
         // Measure text dimensions
         const textMetrics = ctx.measureText(label);
@@ -572,9 +609,13 @@ function renderSalesPriceChart() {
     const entityElement = element.querySelector(".history-entity");
 
     if (priceElement && dateElement) {
-      const priceText = priceElement.textContent.replace(/[$,]/g, "");
+      // The raw amount; the text is formatted for the page's locale
+      const priceText =
+        priceElement.dataset.amount ||
+        priceElement.textContent.replace(/[$,]/g, "");
       const price = parseFloat(priceText);
-      const date = dateElement.textContent;
+      // The ISO date; the text is only for display
+      const date = dateElement.getAttribute("datetime") || dateElement.textContent;
       const owner = entityElement
         ? entityElement.textContent.replace(/^-?\s*/, "")
         : null;
@@ -585,8 +626,11 @@ function renderSalesPriceChart() {
       if (!isNaN(price) && date) {
         salesData.push({
           date: date,
+          label: dateElement.textContent,
           amount: price,
           owner: owner,
+          // Sales analytics rendered as data attributes on the history entry
+          analytics: { ...element.dataset },
         });
       }
     }
@@ -627,6 +671,16 @@ function renderSalesPriceChart() {
     return;
   }
 
+  // Non-market transfers keep their point, drawn apart and reached by dashed
+  // segments, so a nominal deed does not read as a market price
+  const nonArmsLength = (index) =>
+    Boolean(salesData[index] && salesData[index].analytics.nonArmsLength);
+  const pointColor = getCSSVar("--chart-point-bg-color", "#4b82d4");
+  const nonArmsLengthColor = getCSSVar(
+    "--chart-point-non-arms-length-color",
+    "#a86b00",
+  );
+
   // eslint-disable-next-line no-undef
   window.salesChart = new Chart(context, {
     type: "line",
@@ -634,7 +688,7 @@ function renderSalesPriceChart() {
       labels: labels,
       datasets: [
         {
-          label: "Sale Price",
+          label: message("salePrice"),
           data: spacedSalesData,
 
           // Add metadata for tooltips
@@ -646,8 +700,18 @@ function renderSalesPriceChart() {
             "rgba(75, 130, 212, 0.1)",
           ),
           borderWidth: parseInt(getCSSVar("--chart-line-width", "2")),
-          pointBackgroundColor: getCSSVar("--chart-point-bg-color", "#4b82d4"),
+          pointBackgroundColor: (point) =>
+            nonArmsLength(point.dataIndex) ? nonArmsLengthColor : pointColor,
+          pointStyle: (point) =>
+            nonArmsLength(point.dataIndex) ? "rectRot" : "circle",
           pointBorderWidth: 0,
+          segment: {
+            borderDash: (segment) =>
+              nonArmsLength(segment.p0DataIndex) ||
+              nonArmsLength(segment.p1DataIndex)
+                ? [6, 4]
+                : undefined,
+          },
           pointRadius: parseInt(getCSSVar("--chart-point-radius", "6")),
           pointHoverRadius: parseInt(
             getCSSVar("--chart-point-hover-radius", "8"),
@@ -712,7 +776,9 @@ function renderSalesPriceChart() {
                   tooltipItem.dataset.saleData[tooltipItem.dataIndex];
                 // eslint-disable-next-line no-console
                 console.log("Sale data for tooltip:", saleData);
-                return saleData ? saleData.date : tooltipItem.label;
+                return saleData
+                  ? saleData.label || saleData.date
+                  : tooltipItem.label;
               }
               return tooltipItem ? tooltipItem.label : "";
             },
@@ -729,7 +795,7 @@ function renderSalesPriceChart() {
                 const lines = [];
 
                 lines.push(
-                  "Sale Price: $" + tooltipItem.parsed.y.toLocaleString(),
+                  message("salePrice") + ": " + formatMoney(tooltipItem.parsed.y),
                 );
 
                 if (saleData && saleData.owner) {
@@ -737,16 +803,56 @@ function renderSalesPriceChart() {
                   
                   // Check if there are multiple owners (contains semicolon)
                   const hasMultipleOwners = ownerString.includes(';');
-                  const label = hasMultipleOwners ? 'Owners: ' : 'Owner: ';
+                  const label = message(hasMultipleOwners ? "owners" : "owner");
                   
-                  lines.push(label + ownerString);
+                  lines.push(label + ": " + ownerString);
+                }
+
+                const analytics = saleData && saleData.analytics;
+                if (analytics) {
+                  if (analytics.nonArmsLength) {
+                    lines.push(
+                      message("nonArmsLength") + ": " + analytics.nonArmsLength,
+                    );
+                  }
+                  if (analytics.priceChangePercent) {
+                    const change = parseFloat(analytics.priceChangePercent);
+                    lines.push(
+                      message("change") + ": " + (change >= 0 ? "+" : "") + change.toFixed(1) + "%",
+                    );
+                  }
+                  if (analytics.annualAppreciation) {
+                    lines.push(
+                      message("appreciation") +
+                        ": " +
+                        message("perYear", {
+                          percent: parseFloat(analytics.annualAppreciation).toFixed(1),
+                        }),
+                    );
+                  }
+                  if (analytics.pricePerSqft) {
+                    lines.push(
+                      message("price") +
+                        ": " +
+                        formatPricePerArea(parseFloat(analytics.pricePerSqft)),
+                    );
+                  }
+                  if (analytics.holdingYears) {
+                    lines.push(
+                      message("held") +
+                        ": " +
+                        message("years", {
+                          years: parseFloat(analytics.holdingYears).toFixed(1),
+                        }),
+                    );
+                  }
                 }
 
                 // eslint-disable-next-line no-console
                 console.log("Tooltip lines:", lines);
                 return lines;
               }
-              return ["Sale Price: $" + tooltipItem.parsed.y.toLocaleString()];
+              return [message("salePrice") + ": " + formatMoney(tooltipItem.parsed.y)];
             },
           },
         },
@@ -830,9 +936,14 @@ function renderTaxAssessmentChart() {
     const yearElement = element.querySelector(".tax-year-header");
     const assessedValueElement = element.querySelector(".tax-value");
 
-    if (yearElement && assessedValueElement) {
-      const yearText = yearElement.textContent.match(/Tax Year (\d+)/);
-      const valueText = assessedValueElement.textContent.replace(/[$,]/g, "");
+    if (element.dataset.taxYear || (yearElement && assessedValueElement)) {
+      const yearText = element.dataset.taxYear
+        ? [null, element.dataset.taxYear]
+        : yearElement.textContent.match(/Tax Year (\d+)/);
+      // The first value shown is not the assessed value when that is missing
+      const valueText = element.dataset.taxYear
+        ? element.dataset.assessedValue || ""
+        : assessedValueElement.textContent.replace(/[$,]/g, "");
       const value = parseFloat(valueText);
 
       // eslint-disable-next-line no-console
@@ -882,7 +993,7 @@ function renderTaxAssessmentChart() {
       labels: labels,
       datasets: [
         {
-          label: "Assessed Value",
+          label: message("assessedValue"),
           data: assessedValues,
           // Add metadata for tooltips
           taxData: taxData,
@@ -893,8 +1004,18 @@ function renderTaxAssessmentChart() {
             "rgba(75, 130, 212, 0.1)",
           ),
           borderWidth: parseInt(getCSSVar("--chart-line-width", "2")),
-          pointBackgroundColor: getCSSVar("--chart-point-bg-color", "#4b82d4"),
+          pointBackgroundColor: (point) =>
+            nonArmsLength(point.dataIndex) ? nonArmsLengthColor : pointColor,
+          pointStyle: (point) =>
+            nonArmsLength(point.dataIndex) ? "rectRot" : "circle",
           pointBorderWidth: 0,
+          segment: {
+            borderDash: (segment) =>
+              nonArmsLength(segment.p0DataIndex) ||
+              nonArmsLength(segment.p1DataIndex)
+                ? [6, 4]
+                : undefined,
+          },
           pointRadius: parseInt(getCSSVar("--chart-point-radius", "6")),
           pointHoverRadius: parseInt(
             getCSSVar("--chart-point-hover-radius", "8"),
@@ -970,58 +1091,35 @@ function renderTaxAssessmentChart() {
                 const lines = [];
 
                 lines.push(
-                  "Assessed Value: $" + tooltipItem.parsed.y.toLocaleString(),
+                  message("assessedValue") + ": " + formatMoney(tooltipItem.parsed.y),
                 );
 
                 if (taxData && taxData.element) {
-                  // Get all tax values from the DOM element
-                  // Note: These elements are queried but not used directly - values are extracted via regex instead
-
-                  // Try to find market value
-                  const marketValueText = taxData.element.textContent.match(
-                    /Market Value:\s*\$([\d,]+)/,
-                  );
-                  if (marketValueText) {
-                    lines.push("Market Value: $" + marketValueText[1]);
-                  }
-
-                  // Try to find building value
-                  const buildingValueText = taxData.element.textContent.match(
-                    /Building Value:\s*\$([\d,]+)/,
-                  );
-                  if (buildingValueText) {
-                    lines.push("Building Value: $" + buildingValueText[1]);
-                  }
-
-                  // Try to find land value
-                  const landValueText = taxData.element.textContent.match(
-                    /Land Value:\s*\$([\d,]+)/,
-                  );
-                  if (landValueText) {
-                    lines.push("Land Value: $" + landValueText[1]);
-                  }
-
-                  // Try to find taxable value
-                  const taxableValueText = taxData.element.textContent.match(
-                    /Taxable Value:\s*\$([\d,]+)/,
-                  );
-                  if (taxableValueText) {
-                    lines.push("Taxable Value: $" + taxableValueText[1]);
-                  }
-
-                  // Try to find monthly tax
-                  const monthlyTaxText = taxData.element.textContent.match(
-                    /Monthly Tax:\s*\$([\d,]+)/,
-                  );
-                  if (monthlyTaxText) {
-                    lines.push("Monthly Tax: $" + monthlyTaxText[1]);
-                  }
+                  // The other values of the year, as the page shows them
+                  const tooltipFields = [
+                    "market_value",
+                    "building_value",
+                    "land_value",
+                    "taxable_value",
+                    "monthly_tax",
+                  ];
+                  taxData.element
+                    .querySelectorAll("[data-tax-field]")
+                    .forEach((item) => {
+                      if (tooltipFields.includes(item.dataset.taxField)) {
+                        lines.push(
+                          item.querySelector(".tax-label").textContent +
+                            " " +
+                            item.querySelector(".tax-value").textContent,
+                        );
+                      }
+                    });
                 }
 
                 return lines;
               }
               return [
-                "Assessed Value: $" + tooltipItem.parsed.y.toLocaleString(),
+                message("assessedValue") + ": " + formatMoney(tooltipItem.parsed.y),
               ];
             },
           },
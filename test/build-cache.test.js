@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BuildCache } from '../dist/lib/build-cache.js';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const findings = { roomDiscrepancies: [], unmappedValues: [] };
+
+async function withDir(prefix, body) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+  try {
+    return await body(dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+// A cache over `output` that has been saved with one property and reloaded
+async function reloaded(dir, options) {
+  const output = path.join(dir, 'out');
+  const cacheDir = path.join(dir, 'cache');
+  const first = new BuildCache({ input: dir, output }, cacheDir);
+  await first.load();
+  first.record('a', 'hash-a', [path.join(output, 'a')], findings);
+  await first.save();
+
+  const second = new BuildCache({ input: dir, output, ...options }, cacheDir);
+  await second.load();
+  return { cache: second, output };
+}
+
+test('a property is fresh while its input hash and the environment are unchanged', () =>
+  withDir('build-cache-', async (dir) => {
+    const { cache, output } = await reloaded(dir, {});
+    assert.equal(cache.isFresh('a', 'hash-a'), true);
+    assert.equal(cache.isFresh('a', 'hash-b'), false);
+    assert.equal(cache.isFresh('b', 'hash-a'), false);
+    assert.deepEqual(cache.outputs('a'), [path.join(output, 'a')]);
+  }));
+
+test('an environment change keeps the properties but makes none of them fresh', () =>
+  withDir('build-cache-', async (dir) => {
+    const { cache, output } = await reloaded(dir, { domain: 'https://example.com' });
+    assert.deepEqual(cache.cachedPropertyIds(), ['a']);
+    assert.equal(cache.isFresh('a', 'hash-a'), false);
+    assert.deepEqual(cache.outputs('a'), [path.join(output, 'a')]);
+    assert.deepEqual(cache.findings('a'), findings);
+  }));
+
+test('forgotten properties leave the cache', () =>
+  withDir('build-cache-', async (dir) => {
+    const { cache } = await reloaded(dir, {});
+    cache.forget('a');
+    assert.deepEqual(cache.cachedPropertyIds(), []);
+    assert.equal(cache.findings('a'), null);
+    assert.deepEqual(cache.outputs('a'), []);
+  }));
+
+test('input hashes change with any file of the property', () =>
+  withDir('build-cache-', async (dir) => {
+    const cache = new BuildCache({ input: dir, output: path.join(dir, 'out') }, path.join(dir, 'cache'));
+    const property = path.join(dir, 'property');
+    await fs.outputJson(path.join(property, 'a.json'), { value: 1 });
+    const before = await cache.hashInput(property);
+    assert.equal(await cache.hashInput(property), before);
+    await fs.outputFile(path.join(property, 'photo.jpg'), 'jpeg');
+    assert.notEqual(await cache.hashInput(property), before);
+  }));
+
+// The builder and its templates are copied, so a template can be edited
+// without touching the working tree
+test('pages of deleted inputs are removed after a template change', { timeout: 300000 }, () =>
+  withDir('build-cache-builder-', async (dir) => {
+    await fs.copy(path.join(root, 'dist'), path.join(dir, 'dist'));
+    await fs.copy(path.join(root, 'templates'), path.join(dir, 'templates'));
+    await fs.symlink(path.join(root, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+    const input = path.join(dir, 'input');
+    await fs.copy(path.join(root, 'example-data', 'county'), input);
+    await fs.copy(path.join(root, 'example-data', 'seed'), input);
+    const [kept, deleted] = (await fs.readdir(input)).sort();
+
+    const { Builder } = await import(path.join(dir, 'dist', 'lib', 'builder.js'));
+    const output = path.join(dir, 'out');
+    const build = () => new Builder({
+      input,
+      output,
+      cacheDir: path.join(dir, 'cache'),
+      schemaCacheDir: false,
+      offline: true,
+      quiet: true,
+      logFile: false,
+    }).build();
+
+    await build();
+    assert.ok(await fs.pathExists(path.join(output, deleted, 'index.html')));
+
+    await fs.appendFile(path.join(dir, 'templates', 'property.njk'), '\n{# edited #}\n');
+    await fs.remove(path.join(input, deleted));
+    await build();
+    assert.equal(await fs.pathExists(path.join(output, deleted)), false);
+    assert.ok(await fs.pathExists(path.join(output, kept, 'index.html')));
+  }));
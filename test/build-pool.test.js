@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Worker } from 'worker_threads';
+import { BuildPool } from '../dist/lib/build-pool.js';
+
+// Stands in for the build worker: "throw" crashes it, "exit" ends it, any
+// other id builds
+const WORKER = `
+  const { parentPort } = require('worker_threads');
+  parentPort.on('message', (propertyId) => {
+    if (propertyId.startsWith('throw')) throw new Error('bad parcel ' + propertyId);
+    if (propertyId.startsWith('exit')) process.exit(3);
+    parentPort.postMessage({ propertyId });
+  });
+`;
+
+class StubPool extends BuildPool {
+  spawn() {
+    return new Worker(WORKER, { eval: true });
+  }
+}
+
+const cases = [
+  { name: 'every property builds', ids: ['a', 'b', 'c', 'd'], size: 2, failed: [] },
+  { name: 'a crash fails only its property', ids: ['a', 'throw-b', 'c', 'd', 'e'], size: 2, failed: ['throw-b'] },
+  { name: 'a worker that exits fails only its property', ids: ['exit-a', 'b', 'c'], size: 2, failed: ['exit-a'] },
+  { name: 'a single worker keeps going after crashes', ids: ['throw-a', 'b', 'exit-c', 'd'], size: 1, failed: ['throw-a', 'exit-c'] },
+];
+
+for (const { name, ids, size, failed } of cases) {
+  test(`pool: ${name}`, async () => {
+    const results = [];
+    await new StubPool({}, size).run(ids, (result) => results.push(result));
+
+    assert.deepEqual(results.map((result) => result.propertyId).sort(), [...ids].sort());
+    assert.deepEqual(
+      results.filter((result) => result.error).map((result) => result.propertyId).sort(),
+      [...failed].sort(),
+    );
+    for (const result of results.filter((result) => result.error)) {
+      assert.match(result.error.message, /^Build worker (crashed: bad parcel|stopped with exit code 3)/);
+    }
+  });
+}
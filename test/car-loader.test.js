@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { CarWriter } from '@ipld/car';
+import * as dagCbor from '@ipld/dag-cbor';
+import * as dagJson from '@ipld/dag-json';
+import { CID } from 'multiformats/cid';
+import * as json from 'multiformats/codecs/json';
+import * as raw from 'multiformats/codecs/raw';
+import { sha256 } from 'multiformats/hashes/sha2';
+import { CarLoader } from '../dist/lib/car-loader.js';
+
+const loader = new CarLoader();
+
+const block = async (codec, data) => {
+  const bytes = codec.encode(data);
+  return { cid: CID.create(1, codec.code, await sha256.digest(bytes)), bytes };
+};
+
+// Writes `blocks` to a CAR with the first one as its root and loads it back
+async function load(blocks) {
+  const { writer, out } = CarWriter.create([blocks[0].cid]);
+  const chunks = [];
+  const collect = (async () => {
+    for await (const chunk of out) chunks.push(chunk);
+  })();
+  for (const { cid, bytes } of blocks) await writer.put({ cid, bytes });
+  await writer.close();
+  await collect;
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'car-loader-'));
+  try {
+    const carPath = path.join(dir, 'property.car');
+    await fs.writeFile(carPath, Buffer.concat(chunks));
+    return { carPath, ...(await loader.load(carPath)) };
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('blocks of every JSON codec are decoded and keyed by their CID', async () => {
+  const address = await block(json, { city_name: 'Springfield' });
+  const structure = await block(raw, new TextEncoder().encode(JSON.stringify({ roof_age: 12 })));
+  const tax = await block(dagJson, { tax_year: 2024 });
+  const root = await block(dagCbor, { label: 'County' });
+  const { carPath, roots, nodes } = await load([root, address, structure, tax]);
+
+  assert.deepEqual(roots, [root.cid.toString()]);
+  assert.deepEqual([...nodes.keys()].sort(), [root, address, structure, tax].map(({ cid }) => cid.toString()).sort());
+  assert.deepEqual(nodes.get(address.cid.toString()).data, { city_name: 'Springfield' });
+  assert.deepEqual(nodes.get(structure.cid.toString()).data, { roof_age: 12 });
+  assert.deepEqual(nodes.get(tax.cid.toString()).data, { tax_year: 2024 });
+  assert.equal(nodes.get(root.cid.toString()).filePath, `${carPath}#${root.cid}`);
+});
+
+test('links decoded as CIDs become { "/": cid } links, however deeply nested', async () => {
+  const address = await block(dagJson, { city_name: 'Springfield' });
+  const photo = await block(raw, new Uint8Array([0xff, 0xd8, 0xff]));
+  const relationship = await block(dagCbor, {
+    from: { '/': './property.json' },
+    to: address.cid,
+    files: [photo.cid],
+    nested: { thumbnail: { file: photo.cid } },
+  });
+  const root = await block(dagJson, { label: 'County', relationships: { property_has_address: relationship.cid } });
+  const { nodes } = await load([root, relationship, address, photo]);
+
+  assert.deepEqual(nodes.get(root.cid.toString()).data.relationships, {
+    property_has_address: { '/': relationship.cid.toString() },
+  });
+  assert.deepEqual(nodes.get(relationship.cid.toString()).data, {
+    from: { '/': './property.json' },
+    to: { '/': address.cid.toString() },
+    files: [{ '/': photo.cid.toString() }],
+    nested: { thumbnail: { file: { '/': photo.cid.toString() } } },
+  });
+});
+
+test('binary blocks and unknown codecs are skipped', async () => {
+  const root = await block(dagJson, { label: 'County' });
+  const photo = await block(raw, new Uint8Array([0xff, 0xd8, 0xff]));
+  const bytes = new TextEncoder().encode('{}');
+  const unknown = { cid: CID.create(1, 0x300000, await sha256.digest(bytes)), bytes };
+  const { nodes } = await load([root, photo, unknown]);
+  assert.deepEqual([...nodes.keys()], [root.cid.toString()]);
+});
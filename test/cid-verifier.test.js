@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { CarWriter } from '@ipld/car';
+import { CID } from 'multiformats/cid';
+import * as raw from 'multiformats/codecs/raw';
+import { sha256 } from 'multiformats/hashes/sha2';
+import { CidVerifier } from '../dist/lib/cid-verifier.js';
+
+const verifier = new CidVerifier();
+const encode = (data) => new TextEncoder().encode(JSON.stringify(data, null, 2));
+const cidOf = async (bytes) => CID.create(1, raw.code, await sha256.digest(bytes));
+
+// The schema CID a data-group root is named after
+const SCHEMA = (await cidOf(encode({ title: 'County' }))).toString();
+
+// Writes `files` (name without .json -> data) to a fresh property directory
+async function propertyDir(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cid-verifier-'));
+  for (const [name, data] of Object.entries(files)) {
+    await fs.writeFile(path.join(dir, `${name}.json`), encode(data));
+  }
+  return dir;
+}
+
+const address = { street_name: 'Main', city_name: 'Springfield' };
+const addressCid = (await cidOf(encode(address))).toString();
+const relationship = { from: { '/': './property.json' }, to: { '/': addressCid } };
+const relationshipCid = (await cidOf(encode(relationship))).toString();
+
+const cases = [
+  {
+    name: 'files linked by their CID are verified',
+    files: {
+      [SCHEMA]: { label: 'County', relationships: { property_has_address: { '/': relationshipCid } } },
+      [relationshipCid]: relationship,
+      [addressCid]: address,
+      property: { parcel_identifier: '1' },
+    },
+    verified: 2,
+    skipped: [SCHEMA, 'property'],
+    mismatches: [],
+  },
+  {
+    name: 'path links to CID-named files are verified',
+    files: {
+      [SCHEMA]: { label: 'County', relationships: { property_has_address: { '/': `./${relationshipCid}.json` } } },
+      [relationshipCid]: relationship,
+      [addressCid]: address,
+      property: { parcel_identifier: '1' },
+    },
+    verified: 2,
+    skipped: [SCHEMA, 'property'],
+    mismatches: [],
+  },
+  {
+    name: 'a tampered file fails even when it looks like a data-group root',
+    files: {
+      [SCHEMA]: { label: 'County', relationships: { property_has_address: { '/': relationshipCid } } },
+      [relationshipCid]: relationship,
+      [addressCid]: { ...address, label: 'County', relationships: {} },
+      property: { parcel_identifier: '1' },
+    },
+    verified: 1,
+    skipped: [SCHEMA, 'property'],
+    mismatches: [addressCid],
+  },
+  {
+    name: 'files only linked by path are skipped',
+    files: {
+      [SCHEMA]: { label: 'County', relationships: { property_has_address: { '/': './relationship_property_address.json' } } },
+      relationship_property_address: { from: { '/': './property.json' }, to: { '/': './address.json' } },
+      property: { parcel_identifier: '1' },
+      address,
+    },
+    verified: 0,
+    skipped: [SCHEMA, 'relationship_property_address', 'property', 'address'],
+    mismatches: [],
+  },
+  {
+    name: 'links to files outside the directory are skipped',
+    files: {
+      [SCHEMA]: { label: 'County', relationships: { property_has_address: { '/': relationshipCid } } },
+      [relationshipCid]: relationship,
+      property: { parcel_identifier: '1' },
+    },
+    verified: 1,
+    skipped: [SCHEMA, 'property', addressCid],
+    mismatches: [],
+  },
+];
+
+for (const { name, files, verified, skipped, mismatches } of cases) {
+  test(`directory: ${name}`, async () => {
+    const dir = await propertyDir(files);
+    try {
+      const report = await verifier.verifyDirectory(dir);
+      assert.equal(report.verified, verified);
+      assert.deepEqual(
+        report.skipped.map((skip) => path.basename(skip.source, '.json')).sort(),
+        [...skipped].sort(),
+      );
+      assert.deepEqual(report.mismatches.map((mismatch) => mismatch.cid), mismatches);
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+}
+
+test('pretty-printed JSON blocks match their canonical CID', async () => {
+  const cid = CID.create(1, 0x0200, await sha256.digest(new TextEncoder().encode('{"a":1}')));
+  assert.equal(await verifier.verifyBytes(cid, encode({ a: 1 })), null);
+  assert.match(await verifier.verifyBytes(cid, encode({ a: 2 })), /^content hashes to /);
+});
+
+test('every block of a CAR is verified', async () => {
+  const bytes = encode(address);
+  const cid = await cidOf(bytes);
+  const { writer, out } = CarWriter.create([cid]);
+  const chunks = [];
+  const collect = (async () => {
+    for await (const chunk of out) chunks.push(chunk);
+  })();
+  await writer.put({ cid, bytes });
+  await writer.put({ cid: await cidOf(encode({})), bytes: encode({ tampered: true }) });
+  await writer.close();
+  await collect;
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cid-verifier-'));
+  try {
+    const carPath = path.join(dir, 'property.car');
+    await fs.writeFile(carPath, Buffer.concat(chunks));
+    const report = await verifier.verifyCar(carPath);
+    assert.equal(report.verified, 1);
+    assert.equal(report.mismatches.length, 1);
+  } finally {
+    await fs.remove(dir);
+  }
+});
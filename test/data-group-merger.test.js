@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DataGroupMerger } from '../dist/lib/data-group-merger.js';
+
+const merger = new DataGroupMerger();
+
+const node = (name, data) => ({ cid: name, filePath: `${name}.json`, data, relationships: new Map() });
+const from = (group, name, data) => ({ group, node: node(name, data) });
+
+// Each case merges one entity; `fields` maps a field to [value, group it came
+// from, groups that have a value]
+const entities = [
+  {
+    name: 'the County group wins by default',
+    lexiconClass: 'structure',
+    contributions: [
+      from('Photo Metadata', 'photo', { roof_material_type: 'Shingle', number_of_stories: 2 }),
+      from('County', 'county', { roof_material_type: 'Tile', number_of_stories: null }),
+    ],
+    groups: ['County', 'Photo Metadata'],
+    cid: 'county',
+    fields: {
+      roof_material_type: ['Tile', 'County', ['County', 'Photo Metadata']],
+      number_of_stories: [2, 'Photo Metadata', ['Photo Metadata']],
+    },
+  },
+  {
+    name: 'field rules override the class order',
+    lexiconClass: 'structure',
+    contributions: [
+      from('County', 'county', { roof_condition: 'Poor', roof_material_type: 'Tile' }),
+      from('Photo Metadata', 'photo', { roof_condition: 'Good', roof_material_type: 'Shingle' }),
+    ],
+    groups: ['County', 'Photo Metadata'],
+    cid: 'county',
+    fields: {
+      roof_condition: ['Good', 'Photo Metadata', ['Photo Metadata', 'County']],
+      roof_material_type: ['Tile', 'County', ['County', 'Photo Metadata']],
+    },
+  },
+  {
+    name: 'class rules put photos first for layouts',
+    lexiconClass: 'layout',
+    contributions: [
+      from('County', 'county', { space_type: 'Bedroom', flooring_material_type: 'Carpet' }),
+      from('Photo', 'photo', { space_type: 'Bedroom', flooring_material_type: 'Hardwood' }),
+    ],
+    groups: ['Photo', 'County'],
+    cid: 'photo',
+    fields: { flooring_material_type: ['Hardwood', 'Photo', ['Photo', 'County']] },
+  },
+  {
+    name: 'unlisted groups rank last, in their own order',
+    lexiconClass: 'lot',
+    contributions: [
+      from('Appraisal', 'appraisal', { lot_type: 'Corner' }),
+      from('Survey', 'survey', { lot_type: 'Interior', view: 'Water' }),
+      from('Seed', 'seed', { lot_type: null }),
+    ],
+    groups: ['Seed', 'Appraisal', 'Survey'],
+    cid: 'seed',
+    fields: {
+      lot_type: ['Corner', 'Appraisal', ['Appraisal', 'Survey']],
+      view: ['Water', 'Survey', ['Survey']],
+    },
+  },
+  {
+    name: 'a field nobody knows keeps its null',
+    lexiconClass: 'structure',
+    contributions: [from('County', 'county', { roof_age: null }), from('Seed', 'seed', { roof_age: null })],
+    groups: ['County', 'Seed'],
+    cid: 'county',
+    fields: { roof_age: [null, 'County', []] },
+  },
+];
+
+for (const { name, lexiconClass, contributions, groups, cid, fields } of entities) {
+  test(`mergeEntity: ${name}`, () => {
+    const merged = merger.mergeEntity(lexiconClass, contributions);
+    assert.deepEqual(merged.groups, groups);
+    assert.equal(merged.cid, cid);
+    for (const [field, [value, group, withValue]] of Object.entries(fields)) {
+      assert.equal(merged.data[field], value, field);
+      assert.equal(merged.fields[field].group, group, field);
+      assert.deepEqual(merged.fields[field].groups, withValue, field);
+    }
+  });
+}
+
+test('mergeEntity: a node listed twice by one group contributes once', () => {
+  const contribution = from('County', 'county', { tax_year: 2024 });
+  const merged = merger.mergeEntity('tax', [contribution, { ...contribution }]);
+  assert.equal(merged.sources.length, 1);
+  assert.equal(merger.mergeEntity('tax', []), undefined);
+});
+
+const collections = [
+  {
+    name: 'rooms merge by type and occurrence',
+    contributions: [
+      from('County', 'c1', { space_type: 'Bedroom', size_square_feet: 120 }),
+      from('County', 'c2', { space_type: 'Bedroom', size_square_feet: 140 }),
+      from('Photo', 'p1', { space_type: 'Bedroom', flooring_material_type: 'Carpet' }),
+      from('Photo', 'p2', { space_type: 'Kitchen' }),
+    ],
+    merged: [['p1', 'c1'], ['p2'], ['c2']],
+  },
+  {
+    name: 'rooms without a type are never merged',
+    contributions: [
+      from('County', 'c1', { space_type: null }),
+      from('Photo', 'p1', { space_type: null }),
+    ],
+    merged: [['p1'], ['c1']],
+  },
+];
+
+for (const { name, contributions, merged } of collections) {
+  test(`mergeCollection: ${name}`, () => {
+    const result = merger.mergeCollection('layout', contributions, (data) => data?.space_type);
+    assert.deepEqual(
+      result.map((room) => room.sources.map((source) => source.node.cid)),
+      merged,
+    );
+  });
+}
+
+test('project rules replace the default order and add to class and field rules', () => {
+  const custom = new DataGroupMerger({
+    default: ['Seed', 'County'],
+    fields: { 'lot.view': ['County'] },
+  });
+  assert.deepEqual(custom.precedence('property'), ['Seed', 'County']);
+  assert.deepEqual(custom.precedence('lot', 'view'), ['County']);
+  assert.deepEqual(custom.precedence('lot', 'driveway_condition'), ['Photo Metadata', 'Photo', 'County', 'Seed']);
+  assert.deepEqual(custom.precedence('layout', 'space_type'), ['Photo Metadata', 'Photo', 'County', 'Seed']);
+  assert.deepEqual(custom.sortGroups(['County', 'Other', 'Seed']), ['Seed', 'County', 'Other']);
+});
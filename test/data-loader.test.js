@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { DataLoader } from '../dist/lib/data-loader.js';
+
+// An input with two property directories, an archive and a stray file
+async function withInput(body) {
+  const input = await fs.mkdtemp(path.join(os.tmpdir(), 'data-loader-'));
+  try {
+    await fs.ensureDir(path.join(input, 'parcel-100'));
+    await fs.ensureDir(path.join(input, 'parcel-200'));
+    await fs.writeFile(path.join(input, 'parcel-300.car'), '');
+    await fs.writeFile(path.join(input, 'notes.txt'), '');
+    const loader = new DataLoader({ input, quiet: true, logFile: false, schemaCacheDir: false, offline: true });
+    return await body(loader, input);
+  } finally {
+    await fs.remove(input);
+  }
+}
+
+const cases = [
+  { name: 'nothing selected builds everything', selection: {}, expected: ['parcel-100', 'parcel-200', 'parcel-300'] },
+  { name: 'listed ids', selection: { properties: ['parcel-200', 'parcel-300'] }, expected: ['parcel-200', 'parcel-300'] },
+  { name: 'ids that are not in the input are left out', selection: { properties: ['parcel-999', 'parcel-100'] }, expected: ['parcel-100'] },
+  { name: 'globs match directories and archives', selection: { match: ['parcel-[23]*'] }, expected: ['parcel-200', 'parcel-300'] },
+  { name: 'globs that match nothing select nothing', selection: { match: ['lot-*'] }, expected: [] },
+  {
+    name: 'selections add up',
+    selection: { properties: ['parcel-100'], match: ['*-300'], list: 'parcel-200\n' },
+    expected: ['parcel-100', 'parcel-200', 'parcel-300'],
+  },
+  {
+    name: 'list files skip blank lines and comments',
+    selection: { list: '# to rebuild\nparcel-300  # new photos\n\n  parcel-100\n' },
+    expected: ['parcel-100', 'parcel-300'],
+  },
+];
+
+for (const { name, selection, expected } of cases) {
+  test(`selectPropertyIds: ${name}`, () =>
+    withInput(async (loader, input) => {
+      const { list, ...rest } = selection;
+      if (list !== undefined) {
+        rest.fromList = path.join(input, 'list.txt');
+        await fs.writeFile(rest.fromList, list);
+      }
+      assert.deepEqual((await loader.selectPropertyIds(input, rest)).sort(), expected);
+    }));
+}
+
+test('selectPropertyIds: a single archive is the whole input', () =>
+  withInput(async (loader, input) => {
+    const archive = path.join(input, 'parcel-300.car');
+    assert.deepEqual(await loader.selectPropertyIds(archive, {}), ['parcel-300']);
+    assert.deepEqual(await loader.selectPropertyIds(archive, { match: ['parcel-3*'] }), ['parcel-300']);
+    assert.deepEqual(await loader.selectPropertyIds(archive, { match: ['parcel-1*'] }), []);
+  }));
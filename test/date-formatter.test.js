@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateFormatter } from '../dist/lib/date-formatter.js';
+
+// West of UTC, where reading calendar days as UTC midnight shifts them back
+const pacific = new DateFormatter({ zone: 'America/Los_Angeles' });
+
+const cases = [
+  { input: '2020-01-01', isoDate: '2020-01-01', short: 'Jan 1, 2020', month: 'January 2020' },
+  { input: ' 2020-01-01 ', isoDate: '2020-01-01', short: 'Jan 1, 2020', month: 'January 2020' },
+  { input: '2020-01-01T05:00:00Z', isoDate: '2019-12-31', short: 'Dec 31, 2019', month: 'December 2019' },
+  { input: new Date('2020-01-01T05:00:00Z'), isoDate: '2019-12-31', short: 'Dec 31, 2019', month: 'December 2019' },
+  { input: '9/26/2005', isoDate: '2005-09-26', short: 'Sep 26, 2005', month: 'September 2005' },
+  { input: '2005/9/26', isoDate: '2005-09-26', short: 'Sep 26, 2005', month: 'September 2005' },
+  { input: 'Unknown', isoDate: null, short: 'Unknown', month: 'Unknown' },
+  { input: '', isoDate: null, short: '', month: '' },
+  { input: null, isoDate: null, short: '', month: '' },
+];
+
+for (const { input, isoDate, short, month } of cases) {
+  test(`dates: ${JSON.stringify(input)}`, () => {
+    assert.equal(pacific.isoDate(input), isoDate);
+    assert.equal(pacific.format(input), short);
+    assert.equal(pacific.format(input, 'month'), month);
+    assert.equal(pacific.utcDay(input), isoDate ? Date.parse(`${isoDate}T00:00:00Z`) : null);
+  });
+}
+
+const formats = [
+  { options: {}, format: 'long', expected: 'September 26, 2005' },
+  { options: {}, format: 'year', expected: '2005' },
+  { options: {}, format: 'dd/LL/yy', expected: '26/09/05' },
+  { options: { formats: { short: 'd LLL yyyy' } }, format: 'short', expected: '26 Sep 2005' },
+  { options: { formats: { custom: 'dd.LL.yyyy' } }, format: 'custom', expected: '26.09.2005' },
+  { options: { locale: 'es' }, format: 'month', expected: 'septiembre 2005' },
+];
+
+for (const { options, format, expected } of formats) {
+  test(`format: ${format} ${JSON.stringify(options)}`, () => {
+    assert.equal(new DateFormatter(options).format('2005-09-26', format), expected);
+  });
+}
+
+test('unknown time zones are rejected', () => {
+  assert.throws(() => new DateFormatter({ zone: 'Mars/Base' }), /Unknown time zone: Mars\/Base/);
+});
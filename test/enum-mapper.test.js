@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EnumMapper } from '../dist/lib/enum-mapper.js';
+
+const bundled = new EnumMapper();
+const entry = (enumValue, fields = {}) =>
+  ({ lexiconClass: 'structure', lexiconProperty: 'roof_material_type', enumValue, ...fields });
+
+const overrides = [
+  {
+    name: 'the bundled mapping',
+    overrides: [],
+    expected: { enumDescription: 'Tile Roof', iconName: 'type=roof.svg' },
+  },
+  {
+    name: 'a description keeps the bundled icon',
+    overrides: [entry('Tile', { enumDescription: 'Clay tile' })],
+    expected: { enumDescription: 'Clay tile', iconName: 'type=roof.svg' },
+  },
+  {
+    name: 'an icon keeps the bundled description',
+    overrides: [entry('Tile', { iconName: 'tile' })],
+    expected: { enumDescription: 'Tile Roof', iconName: 'type=tile.svg' },
+  },
+  {
+    name: 'a null icon removes it',
+    overrides: [entry('Tile', { iconName: null })],
+    expected: { enumDescription: 'Tile Roof', iconName: null },
+  },
+  {
+    name: 'later entries layer over earlier ones',
+    overrides: [entry('Tile', { enumDescription: 'Clay tile' }), entry('Tile', { iconName: 'tile' })],
+    expected: { enumDescription: 'Clay tile', iconName: 'type=tile.svg' },
+  },
+];
+
+for (const { name, overrides: entries, expected } of overrides) {
+  test(`render: ${name}`, () => {
+    const mapper = new EnumMapper(entries);
+    assert.deepEqual(mapper.render({ roof_material_type: 'Tile' }, 'structure').roof_material_type, expected);
+  });
+}
+
+test('render: new values take their property\'s icon and show as they are', () => {
+  const mapper = new EnumMapper([entry('Thatch')]);
+  assert.deepEqual(mapper.render({ roof_material_type: 'Thatch' }, 'structure'), {
+    roof_material_type: { enumDescription: 'Thatch', iconName: 'type=roof.svg' },
+  });
+});
+
+test('render: whole new classes can be added', () => {
+  const mapper = new EnumMapper([
+    { lexiconClass: 'pool', lexiconProperty: 'pool_type', enumValue: 'Infinity', enumDescription: 'Infinity pool', iconName: 'pool' },
+  ]);
+  assert.deepEqual(mapper.render({ pool_type: 'Infinity', depth: 'Deep' }, 'pool'), {
+    pool_type: { enumDescription: 'Infinity pool', iconName: 'type=pool.svg' },
+  });
+  assert.deepEqual(bundled.render({ pool_type: 'Infinity' }, 'pool'), {});
+});
+
+test('overrides need a class and a property', () => {
+  assert.throws(
+    () => new EnumMapper([entry('Tile'), { lexiconProperty: 'roof_material_type', enumValue: 'Tile' }]),
+    /Enum mapping entry 1: "lexiconClass" and "lexiconProperty" are required/,
+  );
+});
+
+test('unmapped: values of mapped properties that have no mapping', () => {
+  const item = {
+    roof_material_type: 'Thatch',
+    roof_age: 12,
+    roof_condition: '',
+    number_of_stories: 2,
+    is_fenced: true,
+    notes: 'Thatch',
+  };
+  assert.deepEqual(bundled.unmapped({ ...item, roof_material_type: 'Tile' }, 'structure'), []);
+  assert.deepEqual(bundled.unmapped(item, 'structure'), [
+    { lexiconClass: 'structure', lexiconProperty: 'roof_material_type', value: 'Thatch' },
+  ]);
+  assert.deepEqual(new EnumMapper([entry('Thatch')]).unmapped(item, 'structure'), []);
+  assert.deepEqual(bundled.unmapped(null, 'structure'), []);
+  assert.deepEqual(bundled.unmapped(item, 'no_such_class'), []);
+});
+
+test('unmapped: properties that only a project maps are checked too', () => {
+  const mapper = new EnumMapper([
+    { lexiconClass: 'structure', lexiconProperty: 'roof_age', enumValue: '10', enumDescription: 'Ten years' },
+  ]);
+  assert.deepEqual(mapper.unmapped({ roof_age: 10 }, 'structure'), []);
+  assert.deepEqual(mapper.unmapped({ roof_age: 12 }, 'structure'), [
+    { lexiconClass: 'structure', lexiconProperty: 'roof_age', value: '12' },
+  ]);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { CID } from 'multiformats/cid';
+import * as raw from 'multiformats/codecs/raw';
+import { sha256 } from 'multiformats/hashes/sha2';
+import { IPLDDataLoader } from '../dist/lib/ipld-data-loader.js';
+import { GraphExporter } from '../dist/lib/graph-exporter.js';
+
+const cidOf = async (data) =>
+  CID.create(1, raw.code, await sha256.digest(new TextEncoder().encode(JSON.stringify(data)))).toString();
+
+// The schema CID a data-group root is named after, and a CID nothing has
+const SCHEMA = await cidOf({ title: 'County' });
+const ELSEWHERE = await cidOf({ sale_price: 1 });
+
+// The data group lists a tax relationship whose file was never written, and
+// the address relationship links a sale that is not in the input
+const files = {
+  [SCHEMA]: {
+    label: 'County',
+    relationships: {
+      property_has_address: { '/': './relationship_address.json' },
+      property_has_tax: [{ '/': './relationship_tax.json' }],
+    },
+  },
+  relationship_address: { from: { '/': './property.json' }, to: { '/': './address.json' }, sale: { '/': ELSEWHERE } },
+  property: { parcel_identifier: '1' },
+  address: { street_name: 'Main' },
+};
+
+async function exportGraph() {
+  const input = await fs.mkdtemp(path.join(os.tmpdir(), 'graph-exporter-'));
+  try {
+    for (const [name, data] of Object.entries(files)) {
+      await fs.outputJson(path.join(input, 'parcel-1', `${name}.json`), data);
+    }
+    const loader = new IPLDDataLoader(input);
+    return new GraphExporter(loader).export('parcel-1', await loader.loadGraph('parcel-1'));
+  } finally {
+    await fs.remove(input);
+  }
+}
+
+const graph = await exportGraph();
+const edge = ({ from, to, key }) => `${from} -${key}-> ${to}`;
+
+test('links to nodes outside the input are dangling edges', () => {
+  assert.deepEqual(graph.dangling.map(edge), [
+    `${SCHEMA} -property_has_tax[0]-> relationship_tax`,
+    `relationship_address -sale-> ${ELSEWHERE}`,
+  ]);
+  assert.deepEqual(graph.edges.filter((e) => !e.dangling).map(edge), [
+    `${SCHEMA} -property_has_address-> relationship_address`,
+    'relationship_address -from-> property',
+    'relationship_address -to-> address',
+  ]);
+});
+
+test('dangling edges end at a missing node named after their target', () => {
+  const byId = new Map(graph.nodes.map((node) => [node.id, node]));
+  for (const id of ['relationship_tax', ELSEWHERE]) {
+    assert.deepEqual(byId.get(id), { id, type: 'missing', lexiconClasses: [], label: 'missing', file: null });
+  }
+  assert.equal(byId.get(SCHEMA).type, 'data_group');
+  assert.equal(byId.get('relationship_address').label, 'property_has_address');
+  assert.deepEqual(byId.get('address').lexiconClasses, ['address']);
+});
+
+test('dangling edges and missing nodes are drawn dashed and red', () => {
+  const dot = GraphExporter.format(graph, 'dot');
+  assert.match(dot, /"relationship_tax" \[label="missing\\nrelationship_tax", shape=box, color=red, fontcolor=red, style=dashed\];/);
+  assert.match(dot, /-> "relationship_tax" \[label="property_has_tax\[0\]", color=red, fontcolor=red, style=dashed\];/);
+  assert.match(dot, /-> "address" \[label="to"\];/);
+
+  const mermaid = GraphExporter.format(graph, 'mermaid').split('\n');
+  assert.ok(mermaid.includes('  n1 -.->|"property_has_tax[0]"| n4'));
+  assert.ok(mermaid.includes('  n3 -->|"to"| n0'));
+  assert.ok(mermaid.includes('  class n4,n5 missing'));
+  assert.ok(mermaid.includes('  linkStyle 1,4 stroke:#d00,color:#d00'));
+
+  assert.deepEqual(JSON.parse(GraphExporter.format(graph, 'json')).dangling, graph.dangling);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IPLDDataLoader } from '../dist/lib/ipld-data-loader.js';
+
+// The layout grouping and tax history are private to the loader; they only
+// need the merged nodes and relationship edges
+const loader = new IPLDDataLoader('.');
+
+const room = (space_type, floor_level, extra = {}) => ({ cid: space_type, data: { space_type, floor_level, ...extra } });
+
+const floors = [
+  {
+    name: 'basements, numbered floors, attics and roofs in height order',
+    levels: ['Roof', 'Attic', '2nd Floor', 'Basement', 'Ground Floor', 'Sub-basement', 'Third Floor'],
+    order: ['Sub-basement', 'Basement', 'Ground Floor', '2nd Floor', 'Third Floor', 'Attic', 'Roof'],
+  },
+  {
+    name: 'numeric levels sort by their number among named floors',
+    levels: [3, 'First Floor', 0, 'Cellar'],
+    order: ['Cellar', 0, 'First Floor', 3],
+  },
+  {
+    name: 'floors of the same height in natural order',
+    levels: ['Floor 10', 'Floor 2', 'Level 2'],
+    order: ['Floor 2', 'Level 2', 'Floor 10'],
+  },
+  {
+    name: 'names without a height after the floors, rooms without a level last',
+    levels: [null, 'Mezzanine', '  ', 'Main Level', 'Loft'],
+    order: ['Main Level', 'Loft', 'Mezzanine', null],
+  },
+];
+
+for (const { name, levels, order } of floors) {
+  test(`layout floors: ${name}`, () => {
+    const layouts = loader.loadLayoutData(levels.map((level, index) => room(`Room ${index}`, level)));
+    assert.deepEqual(layouts.floors.map((floor) => floor.floorLevel), order);
+    assert.ok(layouts.floors.every((floor) => !floor.exterior));
+    assert.equal(layouts.exterior, null);
+  });
+}
+
+test('layout floors: exterior rooms are grouped apart whatever their floor', () => {
+  const layouts = loader.loadLayoutData([
+    room('Bedroom', 1, { size_square_feet: 120 }),
+    room('Kitchen', 1, { size_square_feet: 200 }),
+    room('Patio', 1, { is_exterior: true }),
+  ]);
+  assert.equal(layouts.floors.length, 1);
+  assert.equal(layouts.floors[0].roomCount, 2);
+  assert.equal(layouts.floors[0].squareFeet, 320);
+  assert.equal(layouts.exterior.floorLevel, null);
+  assert.equal(layouts.exterior.exterior, true);
+  assert.equal(layouts.exterior.squareFeet, null);
+});
+
+// A merged tax node from one record, and the edges that link records to it
+const record = (cid, data) => ({ cid, data, relationships: new Map() });
+const taxNode = (cid, data) => {
+  const node = record(cid, data);
+  return { ...node, fields: {}, sources: [{ group: 'County', node }] };
+};
+const edge = (from, toClass, to) => ({ key: `tax_has_${toClass}`, fromClass: 'tax', toClass, from, to });
+
+test('tax history: authorities and exemptions from the record and its links', () => {
+  const tax2024 = taxNode('tax-2024', {
+    tax_year: 2024,
+    yearly_tax_amount: '4,200.50',
+    authority_name: 'County',
+    authority_tax_amount: 2100,
+    property_exemption_type: 'Homestead',
+    property_exemption_amount: '$50,000',
+  });
+  const school = record('school', { name: 'School District', category: 'School', tax_amount: 1800, account_identifier: 'S-1' });
+  const county = record('county', { authority_name: 'County', authority_tax_amount: 2100 });
+  const veteran = record('veteran', { exemption_type: 'Veteran', exemption_amount: 5000 });
+  const [tax] = loader.extractTaxHistory([tax2024], [
+    edge(tax2024.sources[0].node, 'tax_authority', school),
+    edge(tax2024.sources[0].node, 'tax_authority', county),
+    edge(tax2024.sources[0].node, 'exemption', veteran),
+    edge(record('other', {}), 'tax_authority', record('elsewhere', { name: 'Another year' })),
+  ]);
+
+  assert.equal(tax.yearly_tax_amount, 4200.5);
+  assert.deepEqual(tax.authorities, [
+    { name: 'County', account_identifier: null, category: null, tax_amount: 2100 },
+    { name: 'School District', account_identifier: 'S-1', category: 'School', tax_amount: 1800 },
+  ]);
+  assert.deepEqual(tax.exemptions, [
+    { type: 'Homestead', amount: 50000 },
+    { type: 'Veteran', amount: 5000 },
+  ]);
+});
+
+test('tax history: unprefixed fields of the record are not an authority', () => {
+  const [tax] = loader.extractTaxHistory([taxNode('tax', { tax_year: 2023, name: 'Parcel 1', amount: 10, property_assessed_value_amount: 1 })], []);
+  assert.deepEqual(tax.authorities, []);
+  assert.deepEqual(tax.exemptions, []);
+});
+
+test('tax history: years with nothing to show are left out, the latest first', () => {
+  const taxes = loader.extractTaxHistory([
+    taxNode('2022', { tax_year: 2022, property_assessed_value_amount: 100000 }),
+    taxNode('2023', { tax_year: 2023, property_assessed_value_amount: null }),
+    taxNode('2024', { tax_year: 2024, authority_name: 'County' }),
+    taxNode('none', { tax_year: null, yearly_tax_amount: 100 }),
+  ], []);
+  assert.deepEqual(taxes.map((tax) => tax.tax_year), [2024, 2022]);
+});
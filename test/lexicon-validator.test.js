@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { CID } from 'multiformats/cid';
+import * as raw from 'multiformats/codecs/raw';
+import { sha256 } from 'multiformats/hashes/sha2';
+import { LexiconValidator } from '../dist/lib/lexicon-validator.js';
+import { SchemaResolver } from '../dist/lib/schema-resolver.js';
+import { Logger } from '../dist/lib/logger.js';
+
+const cidOf = async (schema) =>
+  CID.create(1, raw.code, await sha256.digest(new TextEncoder().encode(JSON.stringify(schema))));
+
+// A published lexicon in miniature: group -> relationship -> class schemas
+const propertySchema = {
+  type: 'object',
+  properties: { parcel_identifier: { type: 'string' } },
+  required: ['parcel_identifier'],
+};
+const addressSchema = {
+  type: 'object',
+  properties: {
+    city_name: { type: ['string', 'null'] },
+    street_suffix_type: { enum: ['Ave', 'St', null] },
+  },
+};
+const propertyCid = await cidOf(propertySchema);
+const addressCid = await cidOf(addressSchema);
+const relationshipSchema = {
+  type: 'object',
+  properties: { from: { cid: propertyCid.toString() }, to: { cid: addressCid.toString() } },
+};
+const relationshipCid = await cidOf(relationshipSchema);
+const groupSchema = {
+  title: 'County',
+  type: 'object',
+  properties: {
+    label: { type: 'string' },
+    relationships: {
+      type: 'object',
+      properties: {
+        property_has_address: { cid: relationshipCid.toString() },
+        property_has_lot: { anyOf: [{ type: 'null' }, { type: 'array', items: { cid: 'not-a-cid' } }] },
+      },
+    },
+  },
+};
+const groupCid = await cidOf(groupSchema);
+
+const schemaDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lexicon-validator-'));
+for (const [cid, schema] of [
+  [groupCid, groupSchema],
+  [relationshipCid, relationshipSchema],
+  [propertyCid, propertySchema],
+  [addressCid, addressSchema],
+]) {
+  await fs.writeJson(path.join(schemaDir, `${cid}.json`), schema);
+}
+test.after(() => fs.remove(schemaDir));
+
+const logger = new Logger({ quiet: true, logFile: false });
+const resolver = new SchemaResolver({ schemaDir, cacheDir: false, offline: true }, logger);
+const validator = new LexiconValidator(resolver);
+
+const node = (lexiconClass, side, data, relationship = 'property_has_address', schemaCid = groupCid) => ({
+  lexiconClass,
+  node: { cid: lexiconClass, filePath: `${lexiconClass}.json`, data, relationships: new Map() },
+  schemaCid,
+  relationship,
+  side,
+});
+
+const cases = [
+  {
+    name: 'valid nodes',
+    nodes: [node('property', 'from', { parcel_identifier: '1' }), node('address', 'to', { city_name: 'Springfield' })],
+    issues: [],
+    unresolved: [],
+  },
+  {
+    name: 'type, enum and required issues',
+    nodes: [
+      node('property', 'from', {}),
+      node('address', 'to', { city_name: 1, street_suffix_type: 'Boulevard' }),
+    ],
+    issues: [
+      ['required', 'property', 'parcel_identifier'],
+      ['type', 'address', 'city_name'],
+      ['enum', 'address', 'street_suffix_type'],
+    ],
+    unresolved: [],
+  },
+  {
+    name: 'a relationship the group schema does not link',
+    nodes: [node('lot', 'to', {}, 'property_has_lot')],
+    issues: [],
+    unresolved: ['lot'],
+  },
+  {
+    name: 'a data group without a schema CID',
+    nodes: [node('address', 'to', {}, 'property_has_address', null)],
+    issues: [],
+    unresolved: ['address'],
+  },
+];
+
+for (const { name, nodes, issues, unresolved } of cases) {
+  test(`validate: ${name}`, async () => {
+    const report = await validator.validate('1', nodes);
+    assert.deepEqual(
+      report.issues.map((issue) => [issue.kind, issue.lexiconClass, issue.field]),
+      issues,
+    );
+    assert.deepEqual(report.unresolved.map((entry) => entry.lexiconClass), unresolved);
+    assert.equal(report.valid, issues.length === 0 && unresolved.length === 0);
+    assert.equal(report.nodesChecked, nodes.length - unresolved.length);
+  });
+}
+
+test('a lexicon directory replaces the resolved class schema', async () => {
+  const lexiconDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lexicon-dir-'));
+  try {
+    await fs.writeJson(path.join(lexiconDir, 'property.json'), { type: 'object', required: ['zoning'] });
+    const local = new LexiconValidator(resolver, lexiconDir);
+    const report = await local.validate('1', [node('property', 'from', { parcel_identifier: '1' }, 'x', null)]);
+    assert.deepEqual(report.issues.map((issue) => issue.field), ['zoning']);
+  } finally {
+    await fs.remove(lexiconDir);
+  }
+});
@@ -0,0 +1,190 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NameParser } from '../dist/lib/name-parser.js';
+
+const parser = new NameParser();
+
+// Only the fields a case sets are compared
+const people = [
+  {
+    input: 'SMITH JOHN A JR',
+    name: 'SMITH, JOHN A Jr.',
+    data: { last_name: 'SMITH', first_name: 'JOHN', middle_name: 'A', suffix_name: 'Jr.' },
+  },
+  {
+    input: 'SMITH JOHN III',
+    name: 'SMITH, JOHN III',
+    data: { last_name: 'SMITH', first_name: 'JOHN', middle_name: null, suffix_name: 'III' },
+  },
+  {
+    input: 'SMITH JOHN V',
+    name: 'SMITH, JOHN V',
+    data: { first_name: 'JOHN', middle_name: null, suffix_name: 'V' },
+  },
+  {
+    input: 'JOHN V SMITH',
+    name: 'JOHN, V SMITH',
+    data: { last_name: 'JOHN', first_name: 'V', middle_name: 'SMITH', suffix_name: null },
+  },
+  {
+    input: 'SMITH JOHN II JR',
+    name: 'SMITH, JOHN II Jr.',
+    data: { middle_name: 'II', suffix_name: 'Jr.' },
+  },
+  {
+    input: 'SMITH, JOHN IV',
+    name: 'SMITH, JOHN IV',
+    data: { last_name: 'SMITH', first_name: 'JOHN', suffix_name: 'IV' },
+  },
+  {
+    input: 'SMITH III, JOHN',
+    name: 'SMITH III, JOHN',
+    data: { last_name: 'SMITH III', first_name: 'JOHN', suffix_name: null },
+  },
+  {
+    input: 'SMITH JOHN DR',
+    name: 'SMITH, JOHN',
+    data: { prefix_name: 'DR', last_name: 'SMITH', first_name: 'JOHN' },
+  },
+  {
+    input: 'DR JOHN SMITH',
+    name: 'SMITH, JOHN',
+    data: { prefix_name: 'DR', last_name: 'SMITH', first_name: 'JOHN' },
+  },
+  {
+    input: 'DR. JOHN Q SMITH JR',
+    name: 'SMITH, JOHN Q Jr.',
+    data: { prefix_name: 'DR.', last_name: 'SMITH', first_name: 'JOHN', middle_name: 'Q', suffix_name: 'Jr.' },
+  },
+  {
+    input: 'SMITH, DR JOHN',
+    name: 'SMITH, JOHN',
+    data: { prefix_name: 'DR', last_name: 'SMITH', first_name: 'JOHN' },
+  },
+  {
+    input: 'VAN DYKE JOHN',
+    name: 'VAN DYKE, JOHN',
+    data: { last_name: 'VAN DYKE', first_name: 'JOHN' },
+  },
+  {
+    input: 'John Q Public',
+    name: 'Public, John Q',
+    data: { last_name: 'Public', first_name: 'John', middle_name: 'Q' },
+  },
+  {
+    input: 'DOE JANE ET AL',
+    name: 'DOE, JANE et al.',
+    etAl: true,
+    data: { last_name: 'DOE', first_name: 'JANE' },
+  },
+  {
+    input: 'DOE JANE ETUX',
+    name: 'DOE, JANE et al.',
+    etAl: true,
+  },
+];
+
+for (const { input, name, etAl = false, data = {} } of people) {
+  test(`person: ${input}`, () => {
+    const [entity, ...rest] = parser.parse(input, 'grantee');
+    assert.equal(rest.length, 0);
+    assert.equal(entity.type, 'person');
+    assert.equal(entity.name, name);
+    assert.equal(entity.etAl, etAl);
+    if (!etAl) assert.equal(entity.sourceName, input);
+    for (const [field, value] of Object.entries(data)) {
+      assert.equal(entity.data[field], value, field);
+    }
+  });
+}
+
+const groups = [
+  { input: 'SMITH JOHN & MARY', names: ['SMITH, JOHN', 'SMITH, MARY'] },
+  { input: 'SMITH JOHN AND JONES MARY', names: ['SMITH, JOHN', 'JONES, MARY'] },
+  { input: 'John & Mary van der Berg', names: ['van der Berg, John', 'van der Berg, Mary'] },
+  { input: 'SMITH JOHN & MARY ET AL', names: ['SMITH, JOHN', 'SMITH, MARY et al.'] },
+];
+
+for (const { input, names } of groups) {
+  test(`people: ${input}`, () => {
+    const entities = parser.parse(input, 'grantee');
+    assert.deepEqual(entities.map((entity) => entity.name), names);
+    assert.ok(entities.every((entity) => entity.type === 'person'));
+  });
+}
+
+const others = [
+  { input: 'ACME HOLDINGS LLC', type: 'company', name: 'ACME HOLDINGS LLC' },
+  { input: 'CITY OF MIAMI', type: 'company', name: 'CITY OF MIAMI' },
+  { input: 'ACME HOLDINGS LLC ET AL', type: 'company', name: 'ACME HOLDINGS LLC et al.', etAl: true },
+  {
+    input: 'SMITH JOHN TR SMITH FAMILY TRUST',
+    type: 'trust',
+    name: 'SMITH FAMILY TRUST',
+    related: ['SMITH, JOHN'],
+  },
+  {
+    input: 'SMITH JOHN & MARY TRS',
+    type: 'trust',
+    name: 'SMITH, JOHN & SMITH, MARY, Trustees',
+    related: ['SMITH, JOHN', 'SMITH, MARY'],
+  },
+  { input: 'SMITH JOHN TR', type: 'trust', name: 'SMITH, JOHN, Trustee', related: ['SMITH, JOHN'] },
+  { input: 'JONES MARY REV TR', type: 'trust', name: 'JONES MARY REV TR', related: [] },
+  { input: 'DOE JANE EST', type: 'estate', name: 'DOE, JANE, Estate', related: ['DOE, JANE'] },
+  { input: 'ESTATE OF JOHN SMITH', type: 'estate', name: 'SMITH, JOHN, Estate', related: ['SMITH, JOHN'] },
+  {
+    input: 'DOE JANE EST ET AL',
+    type: 'estate',
+    name: 'DOE, JANE, Estate et al.',
+    etAl: true,
+    related: ['DOE, JANE'],
+  },
+  { input: 'ESTATE', type: 'estate', name: 'ESTATE', related: [] },
+];
+
+for (const { input, type, name, etAl = false, related } of others) {
+  test(`${type}: ${input}`, () => {
+    const [entity, ...rest] = parser.parse(input, 'grantee');
+    assert.equal(rest.length, 0);
+    assert.equal(entity.type, type);
+    assert.equal(entity.name, name);
+    assert.equal(entity.etAl, etAl);
+    if (type === 'trust') {
+      assert.deepEqual(entity.data.trustees.map((trustee) => trustee.name), related);
+      assert.ok(entity.data.trustees.every((trustee) => trustee.role === 'trustee'));
+    }
+    if (type === 'estate') {
+      assert.deepEqual(entity.data.decedents.map((decedent) => decedent.name), related);
+      assert.ok(entity.data.decedents.every((decedent) => decedent.role === 'decedent'));
+    }
+  });
+}
+
+test('structured names keep their fields', () => {
+  const [entity] = parser.parseRecord(
+    { first_name: 'John', middle_name: 'V', last_name: 'Smith', suffix_name: 'jr' },
+    'grantee',
+    'person',
+  );
+  assert.equal(entity.type, 'person');
+  assert.equal(entity.name, 'Smith, John V Jr.');
+  assert.equal(entity.data.middle_name, 'V');
+  assert.equal(entity.data.suffix_name, 'Jr.');
+});
+
+test('structured names with a trustee marker become a trust', () => {
+  const [entity] = parser.parseRecord(
+    { first_name: 'John', last_name: 'Smith TR' },
+    'grantee',
+    'person',
+  );
+  assert.equal(entity.type, 'trust');
+  assert.deepEqual(entity.data.trustees.map((trustee) => trustee.name), ['Smith, John']);
+});
+
+test('company records are read from their name field', () => {
+  const [entity] = parser.parseRecord({ name: 'Smith John' }, 'grantee', 'company');
+  assert.equal(entity.type, 'company');
+  assert.equal(entity.name, 'Smith John');
+});
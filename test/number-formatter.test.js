@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NumberFormatter } from '../dist/lib/number-formatter.js';
+
+// Intl separates numbers and symbols with no-break spaces in some locales
+const plain = (text) => text.replace(/[\u00a0\u202f]/g, ' ');
+
+const us = new NumberFormatter();
+const german = new NumberFormatter({ locale: 'de-DE', currency: 'eur', units: 'metric' });
+
+const cases = [
+  { call: (f) => f.number(1234.567), us: '1,234.567', german: '1.234,567' },
+  { call: (f) => f.number('1,234.5', 0), us: '1,235', german: '1.235' },
+  { call: (f) => f.fixed(2.5, 1), us: '2.5', german: '2,5' },
+  { call: (f) => f.fixed(2, 2), us: '2.00', german: '2,00' },
+  { call: (f) => f.money(250000), us: '$250,000', german: '250.000 €' },
+  { call: (f) => f.money(1234.5), us: '$1,234.50', german: '1.234,50 €' },
+  { call: (f) => f.currencySymbol(), us: '$', german: '€' },
+  { call: (f) => f.area(1500), us: '1,500 sqft', german: '139 m²' },
+  { call: (f) => f.landArea(0.25), us: '0.25 acres', german: '0,1 ha' },
+  { call: (f) => f.length(50), us: '50 ft', german: '15,2 m' },
+  { call: (f) => f.pricePerArea(200), us: '$200/sqft', german: '2.153 €/m²' },
+  { call: (f) => f.number('n/a'), us: 'n/a', german: 'n/a' },
+  { call: (f) => f.money(null), us: '', german: '' },
+  { call: (f) => f.area(undefined), us: '', german: '' },
+];
+
+for (const { call, us: expectedUs, german: expectedGerman } of cases) {
+  test(`format: ${call.toString().slice(7)}`, () => {
+    assert.equal(plain(call(us)), expectedUs);
+    assert.equal(plain(call(german)), expectedGerman);
+  });
+}
+
+const invalid = [
+  { options: { locale: 'not a locale' }, error: /Unsupported locale/ },
+  { options: { currency: 'dollars' }, error: /Unknown currency: DOLLARS/ },
+  { options: { units: 'nautical' }, error: /Units must be "imperial" or "metric", got "nautical"/ },
+];
+
+test('unit names come from the locale\'s catalog', () => {
+  const spanish = new NumberFormatter({ locale: 'es' });
+  assert.equal(plain(spanish.area(1500)), '1500 pies²');
+  assert.equal(plain(spanish.length(50)), '50 pies');
+  assert.equal(plain(spanish.pricePerArea(200)), '200 US$/pie²');
+});
+
+for (const { options, error } of invalid) {
+  test(`rejects ${JSON.stringify(options)}`, () => {
+    assert.throws(() => new NumberFormatter(options), error);
+  });
+}
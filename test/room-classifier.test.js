@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoomClassifier } from '../dist/lib/room-classifier.js';
+
+const classifier = new RoomClassifier();
+
+const spaceTypes = [
+  { spaceType: 'Bedroom', counts: { bedrooms: 1, bathrooms: 0 } },
+  { spaceType: 'primary bedroom', counts: { bedrooms: 1, bathrooms: 0 } },
+  { spaceType: 'Full Bathroom', counts: { bedrooms: 0, bathrooms: 1 } },
+  { spaceType: 'Half Bathroom / Powder Room', counts: { bedrooms: 0, bathrooms: 0.5 } },
+  { spaceType: 'Bedroom Closet', counts: { bedrooms: 0, bathrooms: 0 } },
+  { spaceType: 'Kitchen', counts: { bedrooms: 0, bathrooms: 0 } },
+];
+
+for (const { spaceType, counts } of spaceTypes) {
+  test(`classify: ${spaceType}`, () => {
+    assert.deepEqual(classifier.classify(spaceType), counts);
+  });
+}
+
+const cases = [
+  {
+    name: 'layouts and structure agree',
+    layouts: ['Bedroom', 'Bedroom', 'Full Bathroom', 'Kitchen'],
+    structure: { structure_rooms_bedroom: 2, structure_rooms_bathroom: 1 },
+    expected: { bedrooms: 2, bathrooms: 1, sources: { bedrooms: 'layout', bathrooms: 'layout' } },
+    discrepancies: [],
+  },
+  {
+    name: 'the preferred layouts win a disagreement',
+    layouts: ['Bedroom', 'Full Bathroom', 'Half Bathroom / Powder Room'],
+    structure: { structure_rooms_bedroom: '3', structure_rooms_bathroom: 1, structure_rooms_bathroom_half: 1 },
+    expected: { bedrooms: 1, bathrooms: 1.5, sources: { bedrooms: 'layout', bathrooms: 'layout' } },
+    discrepancies: [{ field: 'bedrooms', layout: 1, structure: 3, used: 'layout' }],
+  },
+  {
+    name: 'a source that counts zero does not know',
+    layouts: ['Kitchen', 'Living Room'],
+    structure: { structure_rooms_bedroom: 4, structure_rooms_bathroom: 2 },
+    expected: { bedrooms: 4, bathrooms: 2, sources: { bedrooms: 'structure', bathrooms: 'structure' } },
+    discrepancies: [],
+  },
+  {
+    name: 'each field comes from whichever source knows it',
+    layouts: ['Full Bathroom'],
+    structure: { structure_rooms_bedroom: 3, structure_rooms_bathroom: null },
+    expected: { bedrooms: 3, bathrooms: 1, sources: { bedrooms: 'structure', bathrooms: 'layout' } },
+    discrepancies: [],
+  },
+  {
+    name: 'no source knows',
+    layouts: [],
+    structure: null,
+    expected: { bedrooms: 0, bathrooms: 0, sources: { bedrooms: null, bathrooms: null } },
+    discrepancies: [],
+  },
+  {
+    name: 'the structure record when it is preferred',
+    rules: { prefer: 'structure' },
+    layouts: ['Bedroom'],
+    structure: { structure_rooms_bedroom: 2 },
+    expected: { bedrooms: 2, bathrooms: 0, sources: { bedrooms: 'structure', bathrooms: null } },
+    discrepancies: [{ field: 'bedrooms', layout: 1, structure: 2, used: 'structure' }],
+  },
+  {
+    name: 'project rules add and silence space types',
+    rules: { spaceTypes: { 'Guest Suite': { bedrooms: 1, bathrooms: 1 }, Bedroom: { bedrooms: 0 } } },
+    layouts: ['Guest Suite', 'Bedroom'],
+    structure: null,
+    expected: { bedrooms: 1, bathrooms: 1, sources: { bedrooms: 'layout', bathrooms: 'layout' } },
+    discrepancies: [],
+  },
+];
+
+for (const { name, rules, layouts, structure, expected, discrepancies } of cases) {
+  test(`reconcile: ${name}`, () => {
+    const rooms = new RoomClassifier(rules);
+    const result = rooms.reconcile(rooms.countLayouts(layouts), rooms.countStructure(structure));
+    assert.equal(result.bedrooms, expected.bedrooms);
+    assert.equal(result.bathrooms, expected.bathrooms);
+    assert.deepEqual(result.sources, expected.sources);
+    assert.deepEqual(result.discrepancies, discrepancies);
+  });
+}
+
+test('discrepancies are described for the build log', () => {
+  assert.equal(
+    RoomClassifier.describe({ field: 'bedrooms', layout: 1, structure: 3, used: 'layout' }),
+    'layouts count 1 bedrooms, the structure record 3; using the layout count',
+  );
+});
+
+test('an unknown preferred source is rejected', () => {
+  assert.throws(() => new RoomClassifier({ prefer: 'tax' }), /"prefer" must be "layout" or "structure", got "tax"/);
+});
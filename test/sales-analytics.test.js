@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SalesAnalytics } from '../dist/lib/sales-analytics.js';
+
+const analytics = new SalesAnalytics(new Date('2025-01-01T12:00:00Z'));
+
+// Only the fields a case sets are compared, per sale in input order
+const cases = [
+  {
+    name: 'market sales in order',
+    sales: [
+      { date: '2010-01-01', price: 100000 },
+      { date: '2020-01-01', price: 200000 },
+    ],
+    expected: [
+      { priceChange: null, holdingPeriodDays: 3652, currentOwner: false },
+      { priceChange: 100000, priceChangePercent: 100, annualAppreciationPercent: 7.2, currentOwner: true },
+    ],
+    summary: { sales: 2, marketSales: 2, totalAppreciationPercent: 100, averageHoldingPeriodYears: 10 },
+  },
+  {
+    name: 'a nominal transfer is not the baseline for the next sale',
+    sales: [
+      { date: '2010-01-01', price: 100000 },
+      { date: '2012-01-01', price: 100 },
+      { date: '2020-01-01', price: 150000 },
+    ],
+    expected: [
+      { holdingPeriodDays: 730 },
+      { nonArmsLength: true, nonArmsLengthReason: 'nominalPrice', priceChange: null },
+      { priceChange: 50000, priceChangePercent: 50, currentOwner: true },
+    ],
+    summary: { marketSales: 2, nonArmsLengthSales: 1, totalAppreciationPercent: 50 },
+  },
+  {
+    name: 'a sale far below the previous one',
+    sales: [
+      { date: '2010-01-01', price: 500000 },
+      { date: '2015-01-01', price: 50000 },
+    ],
+    expected: [{}, { nonArmsLength: true, nonArmsLengthReason: 'farBelowPrevious' }],
+    summary: { marketSales: 1, totalAppreciationPercent: null },
+  },
+  {
+    name: 'sales less than a year apart are not annualised',
+    sales: [
+      { date: '2024-01-01', price: 100000 },
+      { date: '2024-06-01', price: 120000 },
+    ],
+    expected: [{}, { priceChangePercent: 20, annualAppreciationPercent: null }],
+    summary: { annualAppreciationPercent: null },
+  },
+  {
+    name: 'an undated sale stays out of the ordering',
+    sales: [
+      { date: '2020-01-01', price: 200000 },
+      { date: null, price: 300000 },
+      { date: '2010-01-01', price: 100 },
+    ],
+    expected: [
+      { priceChange: null, holdingPeriodDays: 1827, currentOwner: true },
+      {
+        nonArmsLength: false,
+        priceChange: null,
+        priceChangePercent: null,
+        holdingPeriodDays: null,
+        currentOwner: false,
+      },
+      { nonArmsLength: true, holdingPeriodDays: 3652, currentOwner: false },
+    ],
+    summary: { sales: 3, marketSales: 2, nonArmsLengthSales: 1, averageHoldingPeriodYears: 10 },
+  },
+  {
+    name: 'a sale without a price',
+    sales: [{ date: '2020-01-01', price: null }],
+    expected: [{ nonArmsLength: true, nonArmsLengthReason: 'noPrice', currentOwner: true }],
+    summary: { marketSales: 0, latestPricePerSqft: null },
+  },
+];
+
+for (const { name, sales, expected, summary } of cases) {
+  test(`analyze: ${name}`, () => {
+    const result = analytics.analyze(sales, null);
+    assert.equal(result.sales.length, sales.length);
+    for (const [i, fields] of expected.entries()) {
+      for (const [field, value] of Object.entries(fields)) {
+        assert.equal(result.sales[i][field], value, `sale ${i} ${field}`);
+      }
+    }
+    for (const [field, value] of Object.entries(summary)) {
+      assert.equal(result.summary[field], value, `summary ${field}`);
+    }
+  });
+}
+
+test('price per square foot uses the latest dated market sale', () => {
+  const { sales, summary } = analytics.analyze(
+    [
+      { date: '2015-01-01', price: 150000 },
+      { date: '2020-01-01', price: 300000 },
+      { date: null, price: 400000 },
+    ],
+    1500,
+  );
+  assert.deepEqual(sales.map((sale) => sale.pricePerSqft), [100, 200, 267]);
+  assert.equal(summary.latestPricePerSqft, 200);
+});
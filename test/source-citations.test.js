@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SourceCitations } from '../dist/lib/source-citations.js';
+
+const county = { method: 'GET', url: 'https://county.example.gov/parcel?id=1' };
+const photos = { method: 'post', url: 'https://photos.example.com/search', body: { parcel: '1' } };
+
+const field = (value, request, cid = 'node', group = 'County') =>
+  ({ value, cid, group, source_http_request: request });
+const node = (fields) => ({ fields });
+
+test('sources are numbered in the order they are first cited', () => {
+  const citations = new SourceCitations();
+  assert.equal(citations.cite(photos, 'a', 'Photo'), 1);
+  assert.equal(citations.cite(county, 'b', 'County'), 2);
+  assert.equal(citations.cite(photos, 'c', 'Photo Metadata'), 1);
+  assert.equal(citations.cite(photos, 'a', 'Photo'), 1);
+
+  const [first, second] = citations.list();
+  assert.deepEqual(first.cids, ['a', 'c']);
+  assert.deepEqual(first.groups, ['Photo', 'Photo Metadata']);
+  assert.equal(first.method, 'POST');
+  assert.equal(first.body, '{"parcel":"1"}');
+  assert.equal(second.host, 'county.example.gov');
+  assert.equal(citations.list().length, 2);
+});
+
+const sameSource = [
+  {
+    name: 'the query in the URL or in multiValueQueryString',
+    a: { url: 'https://county.example.gov/parcel?id=1&year=2024' },
+    b: { url: 'https://county.example.gov/parcel', multiValueQueryString: { id: ['1'], year: [2024] } },
+  },
+  {
+    name: 'the query split between both',
+    a: { url: 'https://county.example.gov/parcel?id=1&id=2' },
+    b: { url: 'https://county.example.gov/parcel?id=1', multiValueQueryString: { id: ['2'] } },
+  },
+  {
+    name: 'an implicit GET',
+    a: { method: 'GET', url: 'https://county.example.gov/parcel' },
+    b: { url: 'https://county.example.gov/parcel' },
+  },
+];
+
+for (const { name, a, b } of sameSource) {
+  test(`one footnote for ${name}`, () => {
+    const citations = new SourceCitations();
+    assert.equal(citations.cite(a, 'a'), 1);
+    assert.equal(citations.cite(b, 'b'), 1);
+  });
+}
+
+test('query parameters are listed once with all their values', () => {
+  const citations = new SourceCitations();
+  citations.cite({ url: 'https://county.example.gov/parcel?id=1', multiValueQueryString: { id: ['2'], type: ['sale'] } }, 'a');
+  const [citation] = citations.list();
+  assert.equal(citation.url, 'https://county.example.gov/parcel');
+  assert.equal(citation.href, 'https://county.example.gov/parcel?id=1&id=2&type=sale');
+  assert.deepEqual(citation.query, [{ name: 'id', values: ['1', '2'] }, { name: 'type', values: ['sale'] }]);
+});
+
+test('requests without a usable URL are not cited', () => {
+  const citations = new SourceCitations();
+  assert.equal(citations.cite(null, 'a'), null);
+  assert.equal(citations.cite({ method: 'GET' }, 'a'), null);
+  assert.equal(citations.cite({ url: 'not a url' }, 'a'), null);
+  assert.deepEqual(citations.list(), []);
+});
+
+test('nodes cite the fields that have a value and keep their footnotes', () => {
+  const citations = new SourceCitations();
+  const structure = node({
+    roof_age: field(12, photos, 'photo', 'Photo'),
+    number_of_stories: field(2, county),
+    roof_condition: field(null, { url: 'https://unused.example.com' }),
+    source_http_request: field(county, county),
+  });
+  const lot = node({ lot_type: field('Corner', county, 'lot') });
+
+  assert.deepEqual(citations.citeNode(structure), [1, 2]);
+  assert.equal(structure.fields.roof_age.footnote, 1);
+  assert.equal(structure.fields.number_of_stories.footnote, 2);
+  assert.equal(structure.fields.roof_condition.footnote, undefined);
+  assert.deepEqual(citations.citeNodes([lot, structure]), [1, 2]);
+  assert.deepEqual(citations.citeNode(undefined), []);
+  assert.deepEqual(citations.list().map((citation) => citation.host), ['photos.example.com', 'county.example.gov']);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { Translator, BUNDLED_MESSAGES_DIR } from '../dist/lib/translator.js';
+
+const cases = [
+  { locale: 'en', key: 'price.lastSale', expected: 'Last Sale Price' },
+  { locale: 'es', key: 'price.lastSale', expected: 'Último precio de venta' },
+  { locale: 'es-MX', key: 'price.lastSale', expected: 'Último precio de venta' },
+  { locale: 'fr', key: 'price.lastSale', expected: 'Last Sale Price' },
+  { locale: 'en', key: 'lot.width', params: { value: '50 ft' }, expected: 'Width: 50 ft' },
+  { locale: 'en', key: 'lot.width', expected: 'Width: {value}' },
+  { locale: 'en', key: 'floorplan.beds', params: { count: 1 }, expected: '1 Bed' },
+  { locale: 'en', key: 'floorplan.beds', params: { count: 1200 }, expected: '1,200 Beds' },
+  { locale: 'es', key: 'floorplan.beds', params: { count: 1200 }, expected: '1200 habitaciones' },
+  { locale: 'en', key: 'price.perMonth', params: { value: '$250' }, expected: '$250/mo' },
+  { locale: 'es', key: 'price.estimatedCosts', expected: 'Costos estimados' },
+  { locale: 'es', key: 'history.nonArmsLengthReasons.nominalPrice', expected: 'Precio simbólico' },
+  { locale: 'es', key: 'units.squareFeet', params: { value: '1500' }, expected: '1500 pies²' },
+  { locale: 'en', key: 'no.such.key', expected: 'no.such.key' },
+  { locale: 'en', key: 'no.such.key', fallback: 'Fallback', expected: 'Fallback' },
+  { locale: 'en', key: 'price', expected: 'price' },
+];
+
+for (const { locale, key, params, fallback, expected } of cases) {
+  test(`t: ${locale} ${key} ${JSON.stringify(params ?? {})}`, () => {
+    assert.equal(new Translator(locale).t(key, params, fallback), expected);
+  });
+}
+
+test('only locales with a catalog count as translated', () => {
+  assert.equal(new Translator('en-GB').hasCatalog(), true);
+  assert.equal(new Translator('es-MX').hasCatalog(), true);
+  assert.equal(new Translator('fr').hasCatalog(), false);
+});
+
+test('groups are flattened and fall back message by message', () => {
+  const group = new Translator('es').group('floorplan');
+  assert.equal(group.beds, '{count} habitaciones');
+  assert.equal(typeof group.showPhoto, 'string');
+});
+
+test('project catalogs replace bundled messages of the same locale', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'translator-'));
+  try {
+    await fs.writeJson(path.join(dir, 'es.json'), { price: { lastSale: 'Precio de la última venta' } });
+    const translator = new Translator('es', dir);
+    assert.equal(translator.t('price.lastSale'), 'Precio de la última venta');
+    assert.equal(translator.t('price.taxAssessment'), 'Valoración fiscal');
+  } finally {
+    await fs.remove(dir);
+  }
+  assert.throws(() => new Translator('es', dir), /does not exist/);
+});
+
+// Messages looked up by a code the data carries, which the template does not
+// spell out, and the unit names of NumberFormatter
+const codedKeys = [
+  ...['noPrice', 'nominalPrice', 'farBelowPrevious'].map((reason) => `history.nonArmsLengthReasons.${reason}`),
+  ...['squareFeet', 'squareMeters', 'acres', 'hectares', 'feet', 'meters', 'perSquareFoot', 'perSquareMeter']
+    .map((unit) => `units.${unit}`),
+];
+
+test('every message the template and its script use is in the bundled catalogs', async () => {
+  const template = await fs.readFile(path.join(BUNDLED_MESSAGES_DIR, '..', 'property.njk'), 'utf8');
+  const script = await fs.readFile(path.join(BUNDLED_MESSAGES_DIR, '..', 'assets', 'js', 'property.js'), 'utf8');
+  const keys = new Set([
+    ...[...template.matchAll(/\bt\(['"]([\w.]+)['"]/g)]
+      .map((match) => match[1])
+      .filter((key) => !key.endsWith('.')),
+    ...[...script.matchAll(/\bmessage\(['"](\w+)['"]/g)].map((match) => `client.${match[1]}`),
+    ...codedKeys,
+  ]);
+  assert.ok(keys.has('price.estimatedCosts'));
+  assert.ok(keys.has('client.perSquareMeter'));
+  for (const locale of await fs.readdir(BUNDLED_MESSAGES_DIR)) {
+    const catalog = await fs.readJson(path.join(BUNDLED_MESSAGES_DIR, locale));
+    const missing = [...keys].filter((key) =>
+      key.split('.').reduce((node, part) => node?.[part], catalog) === undefined);
+    assert.deepEqual(missing, [], locale);
+  }
+});
@@ -32,13 +32,34 @@ export interface Company {
   email?: string;
 }
 
+export interface TaxAuthority {
+  name: string | null;
+  account_identifier: string | null;
+  category: string | null;
+  tax_amount: number | null;
+}
+
+export interface TaxExemption {
+  type: string | null;
+  amount: number | null;
+}
+
 export interface TaxData {
-  tax_year?: string | number;
-  assessed_value?: string | number;
-  tax_amount?: string | number;
-  land_value?: string | number;
-  improvement_value?: string | number;
+  tax_year: number;
+  property_assessed_value_amount: number | null;
+  property_market_value_amount: number | null;
+  property_building_amount: number | null;
+  property_land_amount: number | null;
+  property_taxable_value_amount: number | null;
+  monthly_tax_amount: number | null;
+  yearly_tax_amount: number | null;
+  period_start_date: string | null;
+  period_end_date: string | null;
+  authorities: TaxAuthority[];
+  exemptions: TaxExemption[];
   source_http_request?: string;
+  source_cid?: string;
+  footnotes?: number[];
 }
 
 export interface SalesHistoryEntry {
@@ -46,17 +67,107 @@ export interface SalesHistoryEntry {
   amount: number;
 }
 
+export type EntityRole = 'grantee' | 'owner' | 'trustee' | 'decedent';
+
+export interface PersonName {
+  prefix_name: string | null;
+  first_name: string | null;
+  middle_name: string | null;
+  last_name: string | null;
+  suffix_name: string | null;
+}
+
+export interface TrustDetails {
+  // Null when the name only lists trustees ("SMITH JOHN TR")
+  name: string | null;
+  trustees: AssociatedEntity[];
+}
+
+export interface EstateDetails {
+  // The people whose estate it is; empty when the name only says "ESTATE"
+  decedents: AssociatedEntity[];
+}
+
 export interface AssociatedEntity {
-  type: 'person' | 'company';
+  type: 'person' | 'company' | 'trust' | 'estate';
+  // For display: "Smith, John A Jr.", "Acme Holdings LLC", "Smith Family Trust"
   name: string;
+  role: EntityRole;
+  // The name stands for more parties than it lists ("ET AL", "ET UX")
+  etAl: boolean;
+  // The name as it appears in the input
+  sourceName: string;
+  // PersonName for people, { name } for companies, TrustDetails for trusts,
+  // EstateDetails for estates
   data: any;
 }
 
 
+// Why a transfer is not a market sale; templates look the codes up under
+// `history.nonArmsLengthReasons`
+export type NonArmsLengthReason = "noPrice" | "nominalPrice" | "farBelowPrevious";
+
+export interface SaleAnalytics {
+  // Transfers that are not market sales: nominal prices, missing prices or a
+  // fraction of the previous price
+  nonArmsLength: boolean;
+  nonArmsLengthReason: NonArmsLengthReason | null;
+  // Against the previous market sale; null for the first one and for
+  // non-arm's-length transfers
+  priceChange: number | null;
+  priceChangePercent: number | null;
+  // Compound annual growth since the previous market sale, at least a year
+  // earlier
+  annualAppreciationPercent: number | null;
+  // Until the next transfer, or until today for the current owner
+  holdingPeriodDays: number | null;
+  holdingPeriodYears: number | null;
+  currentOwner: boolean;
+  pricePerSqft: number | null;
+}
+
+export interface SalesAnalyticsSummary {
+  sales: number;
+  marketSales: number;
+  nonArmsLengthSales: number;
+  // First to latest market sale
+  totalAppreciationPercent: number | null;
+  annualAppreciationPercent: number | null;
+  // Of owners who have sold
+  averageHoldingPeriodYears: number | null;
+  latestPricePerSqft: number | null;
+}
+
+export type RoomCountSource = 'layout' | 'structure';
+
+export interface RoomCounts {
+  bedrooms: number;
+  bathrooms: number;
+}
+
+export interface RoomDiscrepancy {
+  field: keyof RoomCounts;
+  layout: number;
+  structure: number;
+  used: RoomCountSource;
+}
+
+export interface RoomReconciliation extends RoomCounts {
+  // Where each count came from; null when neither source has one
+  sources: Record<keyof RoomCounts, RoomCountSource | null>;
+  // What each source counted; a count is left out when it is zero
+  layout: Partial<RoomCounts>;
+  structure: Partial<RoomCounts>;
+  discrepancies: RoomDiscrepancy[];
+}
+
 export interface SalesEntry {
   key: string;
   data: SalesData;
+  // The first grantee, kept for templates that show one name
   associatedEntity: AssociatedEntity | null;
+  associatedEntities: AssociatedEntity[];
+  analytics: SaleAnalytics;
 }
 
 export interface TaxEntry {
@@ -70,6 +181,15 @@ export interface DataSource {
   host: string | null;
   full_request: string;
   description: string;
+  // Footnote number on the page
+  number: number;
+  method: string;
+  href: string;
+  query: Array<{ name: string; values: string[] }>;
+  body: string | null;
+  // Nodes and data groups whose values came from this request
+  cids: string[];
+  groups: string[];
 }
 
 export interface CarouselImage {
@@ -96,11 +216,22 @@ export interface TemplateData {
   };
   sales_history: SalesHistoryEntry[];
   all_sales: SalesEntry[];
+  sales_analytics?: SalesAnalyticsSummary;
+  room_counts?: RoomReconciliation;
+  unmapped_values?: UnmappedEnumValue[];
   all_taxes: TaxEntry[];
   data_sources?: DataSource[];
   carousel_images?: CarouselImage[];
   sectionVisibility?: SectionVisibility;
   dataLabel?: string;
+  dataLabels?: string[];
+  // Merged values per entity with the data groups that contributed them
+  merged?: {
+    groups: string[];
+    entities: Record<string, any>;
+  };
+  // Footnote numbers of each section, e.g. citations.sales
+  citations?: Record<string, number[]>;
 
   processed_features?: {
     interior: Array<{ property: string; value: string; info: any }>;
@@ -114,7 +245,16 @@ export interface PropertyCollection {
   [propertyId: string]: TemplateData;
 }
 
-export interface BuilderOptions {
+// Which properties of the input to build; everything when all are empty
+export interface PropertySelection {
+  properties?: string[];
+  // File with one property id per line
+  fromList?: string;
+  // Globs matched against the property directory and archive names
+  match?: string[];
+}
+
+export interface BuilderOptions extends PropertySelection {
   input: string;
   output: string;
   domain?: string;
@@ -126,6 +266,68 @@ export interface BuilderOptions {
   logFile?: string | false;
   dev?: boolean;
   minify?: boolean;
+  schemaDir?: string;
+  schemaCacheDir?: string | false;
+  schemaGateway?: string;
+  offline?: boolean;
+  verifyCids?: boolean;
+  validate?: boolean;
+  lexiconDir?: string;
+  // Path to a JSON file, or the rules themselves
+  mergeRules?: string | MergeRulesOptions;
+  // Properties built at once; above 1 they run on worker threads
+  concurrency?: number;
+  // Build cache location, or false to rebuild everything without a cache
+  cacheDir?: string | false;
+  // Rebuild every property even if the cache says it is unchanged
+  force?: boolean;
+  // IANA zone dates are shown in (default UTC)
+  timeZone?: string;
+  // Named date formats for the formatDate filter, as Luxon format tokens
+  dateFormats?: Record<string, string>;
+  // Language of the pages, and number and currency formatting, e.g.
+  // "en-GB"; en-US by default
+  locale?: string;
+  // Build a variant of every property per locale into <output>/<locale>/<id>/
+  locales?: string[];
+  // Directory of <locale>.json message catalogs layered over the bundled ones
+  messages?: string;
+  // ISO 4217 code prices are shown in; USD by default
+  currency?: string;
+  // Unit system areas and lengths are shown in; imperial by default
+  units?: "imperial" | "metric";
+  // Path to a JSON file, or the rules themselves
+  roomRules?: string | RoomRulesOptions;
+  // Path to a JSON file, or entries layered over the bundled enum mapping
+  enumMapping?: string | EnumMappingEntry[];
+}
+
+export interface EnumMappingEntry {
+  lexiconClass: string;
+  lexiconProperty: string;
+  enumValue?: string;
+  enumDescription?: string;
+  // Icon file name without "type=" and ".svg"; null for no icon
+  iconName?: string | null;
+}
+
+// An enum value found in the data that the mapping does not cover
+export interface UnmappedEnumValue {
+  lexiconClass: string;
+  lexiconProperty: string;
+  value: string;
+}
+
+export interface RoomRulesOptions {
+  prefer?: RoomCountSource;
+  spaceTypes?: Record<string, { bedrooms?: number; bathrooms?: number }>;
+  structureFields?: Partial<Record<keyof RoomCounts, Record<string, number>>>;
+}
+
+export interface MergeRulesOptions {
+  default?: string[];
+  classes?: Record<string, string[]>;
+  fields?: Record<string, string[]>;
 }
 
 export interface LoggerOptions {